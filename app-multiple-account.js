@@ -1,13 +1,28 @@
+require('dotenv').config();
+
 const { Client, MessageMedia, LocalAuth } = require('whatsapp-web.js');
 const express = require('express');
 const socketIO = require('socket.io');
 const qrcode = require('qrcode');
 const http = require('http');
 const fs = require('fs');
+const path = require('path');
 const { phoneNumberFormatter } = require('./helpers/formatter');
 const fileUpload = require('express-fileupload');
 const axios = require('axios');
+const { body, validationResult } = require('express-validator');
+const { readJson, writeJsonAtomic, createMutex } = require('./helpers/store');
+const { requireAdmin, requireAdminSocket } = require('./helpers/auth');
+const { createApiKeyStore, createApiKeyGuard, apiKeyRules } = require('./helpers/apikeys');
+const { createTranscriptLog } = require('./helpers/transcripts');
+const { createAssistant } = require('./helpers/assistant');
+const { esGrupo, parseIds, claveSesion, createGroupPolicy } = require('./helpers/groups');
+const { createBurstQueue, escribiendo } = require('./helpers/burst');
+const { createProviderFromEnv } = require('./helpers/llm');
 const port = process.env.PORT || 8000;
+// Defaults to the volume that holds the WhatsApp session (SESSION_PATH) so it survives deploys
+const DATA_PATH = process.env.DATA_PATH ||
+  (process.env.SESSION_PATH ? path.dirname(path.resolve(process.env.SESSION_PATH)) : path.join(__dirname, 'data'));
 
 const app = express();
 const server = http.createServer(app);
@@ -30,42 +45,154 @@ app.use(fileUpload({
   debug: false
 }));
 
-app.get('/', (req, res) => {
+app.get('/', requireAdmin, (req, res) => {
   res.sendFile('index-multiple-account.html', {
     root: __dirname
   });
 });
 
+// QRs and session events only go to sockets that passed requireAdminSocket
+const ADMINS_ROOM = 'admins';
+
 const sessions = [];
 const SESSIONS_FILE = './whatsapp-sessions.json';
+const sessionsFileLock = createMutex();
 
-const createSessionsFileIfNotExists = function() {
-  if (!fs.existsSync(SESSIONS_FILE)) {
-    try {
-      fs.writeFileSync(SESSIONS_FILE, JSON.stringify([]));
-      console.log('Sessions file created successfully.');
-    } catch(err) {
-      console.log('Failed to create sessions file: ', err);
-    }
-  }
+const getSessionsFile = function() {
+  return readJson(SESSIONS_FILE, []);
+}
+
+/**
+ * Read-modify-write of the sessions file, one at a time and atomic
+ * (temp file + rename), so concurrent client events can't lose updates
+ */
+const updateSessionsFile = function(change) {
+  return sessionsFileLock(async () => {
+    const savedSessions = getSessionsFile();
+    change(savedSessions);
+    await writeJsonAtomic(SESSIONS_FILE, savedSessions);
+  }).catch(err => console.log('Failed to save sessions file: ', err));
 }
 
-createSessionsFileIfNotExists();
+/**
+ * Optional assistant per account (Camila or another department's bot)
+ * config: { catalog, systemPrompt, systemPromptFile, model, greeting }
+ * - catalog: courses JSON file name in ASSISTANT_CATALOGS_DIR (default cursos_2025.json)
+ * - systemPrompt / systemPromptFile: the bot's persona and rules (default Camila's);
+ *   the file is a .txt / .md name in ASSISTANT_PROMPTS_DIR
+ * - model: overrides LLM_MODEL for this account
+ * Sessions and transcripts live in DATA_PATH/accounts/<id>, isolated per account.
+ */
+// Only file names inside these folders: a path could turn .env or the WhatsApp auth into the prompt
+const PROMPTS_DIR = path.resolve(__dirname, process.env.ASSISTANT_PROMPTS_DIR || 'prompts');
+const CATALOGS_DIR = path.resolve(__dirname, process.env.ASSISTANT_CATALOGS_DIR || 'catalogs');
+const DEFAULT_CATALOG = 'cursos_2025.json';
+
+// Error for a bad assistant config (answered with a 400)
+const configError = function(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
 
-const setSessionsFile = function(sessions) {
-  fs.writeFile(SESSIONS_FILE, JSON.stringify(sessions), function(err) {
-    if (err) {
-      console.log(err);
+const allowedFile = function(dir, file, extensions) {
+  if (typeof file !== 'string' || file !== path.basename(file) || !extensions.includes(path.extname(file).toLowerCase())) {
+    throw configError(`Invalid file: ${file} (a ${extensions.join(' / ')} file name in ${path.relative(__dirname, dir) || dir})`);
+  }
+  const resolved = path.join(dir, file);
+  if (!fs.existsSync(resolved)) {
+    throw configError(`File not found: ${file} (in ${path.relative(__dirname, dir) || dir})`);
+  }
+  return resolved;
+}
+
+// Checks the config and resolves its files; throws configError
+const resolveAssistantConfig = function(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw configError('The assistant must be an object');
+  }
+  ['systemPrompt', 'systemPromptFile', 'catalog', 'model', 'greeting'].forEach(field => {
+    if (config[field] !== undefined && config[field] !== null && typeof config[field] !== 'string') {
+      throw configError(`The assistant ${field} must be a text`);
     }
   });
+
+  const catalogPath = !config.catalog || config.catalog === DEFAULT_CATALOG
+    ? path.join(__dirname, DEFAULT_CATALOG)
+    : allowedFile(CATALOGS_DIR, config.catalog, ['.json']);
+  const systemPrompt = config.systemPrompt ||
+    (config.systemPromptFile ? fs.readFileSync(allowedFile(PROMPTS_DIR, config.systemPromptFile, ['.txt', '.md']), 'utf-8') : undefined);
+
+  return { catalogPath: catalogPath, systemPrompt: systemPrompt };
 }
 
-const getSessionsFile = function() {
-  return JSON.parse(fs.readFileSync(SESSIONS_FILE));
+const createAccountAssistant = function(id, config) {
+  if (!/^[\w-]+$/.test(id)) {
+    throw new Error('Invalid session id for an assistant: ' + id);
+  }
+  const { catalogPath, systemPrompt } = resolveAssistantConfig(config);
+  const llm = createProviderFromEnv(config.model ? { ...process.env, LLM_MODEL: config.model } : process.env);
+
+  return createAssistant({
+    catalogPath: catalogPath,
+    systemPrompt: systemPrompt,
+    llm: llm,
+    greeting: config.greeting || '',
+    dataPath: path.join(DATA_PATH, 'accounts', id)
+  });
 }
 
-const createSession = function(id, description) {
+// Bursts: messages less than BURST_WINDOW_MS apart are merged into one turn (same env as app.js)
+const BURST_WINDOW_MS = Number(process.env.BURST_WINDOW_MS) || 2500;
+const BURST_MAX_WAIT_MS = Number(process.env.BURST_MAX_WAIT_MS) || 10000;
+
+// Groups: the assistants only answer when mentioned, quoted or addressed with a prefix (same env as app.js)
+const groups = createGroupPolicy({
+  permitidos: parseIds(process.env.GROUPS_ALLOW),
+  bloqueados: parseIds(process.env.GROUPS_DENY),
+  prefijos: [...parseIds(process.env.GROUP_PREFIXES || 'camila')]
+});
+
+/**
+ * Status of a session: starting → qr → authenticated → ready,
+ * or auth_failure / disconnected / logged_out
+ */
+const sessionView = function(sess) {
+  return {
+    id: sess.id,
+    description: sess.description,
+    status: sess.status,
+    ready: sess.status === 'ready',
+    number: sess.status === 'ready' && sess.client.info ? sess.client.info.wid.user : null,
+    assistant: !!sess.assistant,
+    assistantError: sess.assistantError || undefined
+  };
+}
+
+const createSession = function(id, description, assistantConfig) {
+  const existing = sessions.find(sess => sess.id == id);
+  if (existing) return existing;
+
   console.log('Creating session: ' + id);
+
+  const session = {
+    id: id,
+    description: description,
+    client: null,
+    assistant: null,
+    status: 'starting',
+    qr: null,
+    closing: false
+  };
+
+  if (assistantConfig) {
+    try {
+      session.assistant = createAccountAssistant(id, assistantConfig);
+      console.log('Assistant attached to session: ' + id);
+    } catch (err) {
+      session.assistantError = err.message;
+      console.log('Failed to attach assistant to session ' + id + ': ', err.message);
+    }
+  }
+
   const client = new Client({
     restartOnAuthFail: true,
     puppeteer: {
@@ -85,112 +212,387 @@ const createSession = function(id, description) {
       clientId: id
     })
   });
+  session.client = client;
 
   client.initialize();
 
   client.on('qr', (qr) => {
     console.log('QR RECEIVED', qr);
     qrcode.toDataURL(qr, (err, url) => {
-      io.emit('qr', { id: id, src: url });
-      io.emit('message', { id: id, text: 'QR Code received, scan please!' });
+      if (err) return;
+      session.status = 'qr';
+      session.qr = url; // for GET /sessions/:id/qr.png
+      io.to(ADMINS_ROOM).emit('qr', { id: id, src: url });
+      io.to(ADMINS_ROOM).emit('message', { id: id, text: 'QR Code received, scan please!' });
     });
   });
 
   client.on('ready', () => {
-    io.emit('ready', { id: id });
-    io.emit('message', { id: id, text: 'Whatsapp is ready!' });
+    session.status = 'ready';
+    session.qr = null;
+    io.to(ADMINS_ROOM).emit('ready', { id: id });
+    io.to(ADMINS_ROOM).emit('message', { id: id, text: 'Whatsapp is ready!' });
+
+    updateSessionsFile(savedSessions => {
+      const saved = savedSessions.find(sess => sess.id == id);
+      if (saved) saved.ready = true;
+    });
+  });
 
-    const savedSessions = getSessionsFile();
-    const sessionIndex = savedSessions.findIndex(sess => sess.id == id);
-    savedSessions[sessionIndex].ready = true;
-    setSessionsFile(savedSessions);
+  client.on('message', async (msg) => {
+    if (!session.assistant || msg.fromMe) return;
+
+    let text = (msg.body || '').trim();
+    if (esGrupo(msg.from)) {
+      if (!groups.permitido(msg.from)) return;
+      text = await groups.dirigido(msg, text);
+    }
+    if (!text) return;
+
+    // One conversation per participant in a group
+    bursts.push(claveSesion(msg), { msg: msg, text: text });
+  });
+
+  // Quick consecutive messages are answered as one turn, in order
+  const bursts = createBurstQueue({
+    ventanaMs: BURST_WINDOW_MS,
+    maxEsperaMs: BURST_MAX_WAIT_MS,
+    procesar: async (key, items) => {
+      const msg = items[items.length - 1].msg;
+      const text = items.map(item => item.text).join('\n');
+      const result = await escribiendo(msg, () => session.assistant.atender(key, text));
+      if (result.reply) {
+        await msg.reply(result.reply).catch((err) => console.log('Failed to reply on ' + id + ': ', err.message));
+      }
+    }
   });
 
   client.on('authenticated', () => {
-    io.emit('authenticated', { id: id });
-    io.emit('message', { id: id, text: 'Whatsapp is authenticated!' });
+    session.status = 'authenticated';
+    session.qr = null;
+    io.to(ADMINS_ROOM).emit('authenticated', { id: id });
+    io.to(ADMINS_ROOM).emit('message', { id: id, text: 'Whatsapp is authenticated!' });
   });
 
   client.on('auth_failure', function() {
-    io.emit('message', { id: id, text: 'Auth failure, restarting...' });
+    session.status = 'auth_failure';
+    io.to(ADMINS_ROOM).emit('message', { id: id, text: 'Auth failure, restarting...' });
   });
 
+  // The session stays registered: it restarts and shows a new QR.
+  // Use DELETE /sessions/:id to remove it.
   client.on('disconnected', (reason) => {
-    io.emit('message', { id: id, text: 'Whatsapp is disconnected!' });
+    if (session.closing) return;
+
+    session.status = 'disconnected';
+    io.to(ADMINS_ROOM).emit('message', { id: id, text: 'Whatsapp is disconnected!' });
     client.destroy();
     client.initialize();
 
-    // Menghapus pada file sessions
-    const savedSessions = getSessionsFile();
-    const sessionIndex = savedSessions.findIndex(sess => sess.id == id);
-    savedSessions.splice(sessionIndex, 1);
-    setSessionsFile(savedSessions);
-
-    io.emit('remove-session', id);
+    updateSessionsFile(savedSessions => {
+      const saved = savedSessions.find(sess => sess.id == id);
+      if (saved) saved.ready = false;
+    });
   });
 
   // Tambahkan client ke sessions
-  sessions.push({
-    id: id,
-    description: description,
-    client: client
-  });
+  sessions.push(session);
 
   // Menambahkan session ke file
-  const savedSessions = getSessionsFile();
-  const sessionIndex = savedSessions.findIndex(sess => sess.id == id);
+  updateSessionsFile(savedSessions => {
+    if (!savedSessions.some(sess => sess.id == id)) {
+      savedSessions.push({
+        id: id,
+        description: description,
+        ready: false,
+        assistant: assistantConfig || null
+      });
+    }
+  });
 
-  if (sessionIndex == -1) {
-    savedSessions.push({
-      id: id,
-      description: description,
-      ready: false,
-    });
-    setSessionsFile(savedSessions);
+  return session;
+}
+
+// Unlink the phone; the client restarts and waits for a new QR
+const logoutSession = async function(session) {
+  session.closing = true;
+  try {
+    await session.client.logout();
+  } finally {
+    session.closing = false;
+  }
+  session.status = 'logged_out';
+  io.to(ADMINS_ROOM).emit('message', { id: session.id, text: 'Whatsapp is logged out!' });
+
+  updateSessionsFile(savedSessions => {
+    const saved = savedSessions.find(sess => sess.id == session.id);
+    if (saved) saved.ready = false;
+  });
+
+  try {
+    await session.client.initialize();
+  } catch (err) {
+    io.to(ADMINS_ROOM).emit('message', { id: session.id, text: 'Failed to restart: ' + err.message });
+    throw new Error('Logged out, but the client failed to restart: ' + err.message);
   }
 }
 
-const init = function(socket) {
-  const savedSessions = getSessionsFile();
-
-  if (savedSessions.length > 0) {
-    if (socket) {
-      /**
-       * At the first time of running (e.g. restarting the server), our client is not ready yet!
-       * It will need several time to authenticating.
-       * 
-       * So to make people not confused for the 'ready' status
-       * We need to make it as FALSE for this condition
-       */
-      savedSessions.forEach((e, i, arr) => {
-        arr[i].ready = false;
-      });
+// Close the client, forget its auth and remove it from the file
+const deleteSession = async function(session) {
+  session.closing = true;
+  if (session.status === 'ready') {
+    await session.client.logout().catch(err => console.log('Failed to log out ' + session.id + ': ', err.message));
+  }
+  await session.client.destroy().catch(err => console.log('Failed to close ' + session.id + ': ', err.message));
+  if (session.assistant) await session.assistant.flush();
 
-      socket.emit('init', savedSessions);
-    } else {
-      savedSessions.forEach(sess => {
-        createSession(sess.id, sess.description);
-      });
-    }
+  // logout() only clears the LocalAuth folder of a ready session; remove it in any state
+  const { dataPath } = session.client.authStrategy;
+  await fs.promises.rm(path.join(dataPath, 'session-' + session.id), { recursive: true, force: true, maxRetries: 4 });
+
+  sessions.splice(sessions.indexOf(session), 1);
+  await updateSessionsFile(savedSessions => {
+    const sessionIndex = savedSessions.findIndex(sess => sess.id == session.id);
+    if (sessionIndex != -1) savedSessions.splice(sessionIndex, 1);
+  });
+
+  io.to(ADMINS_ROOM).emit('remove-session', session.id);
+}
+
+const init = function(socket) {
+  if (socket) {
+    // Live status of each session (not the 'ready' saved before the last restart)
+    socket.emit('init', sessions.map(sessionView));
+  } else {
+    getSessionsFile().forEach(sess => {
+      createSession(sess.id, sess.description, sess.assistant);
+    });
   }
 }
 
 init();
 
-// Socket IO
+// Socket IO (ADMIN_TOKEN, like the REST routes)
+io.use(requireAdminSocket);
 io.on('connection', function(socket) {
+  socket.join(ADMINS_ROOM);
   init(socket);
 
   socket.on('create-session', function(data) {
+    if (!data || !/^[\w-]+$/.test(data.id)) {
+      return socket.emit('message', { id: data && data.id, text: 'Invalid session id' });
+    }
+    try {
+      if (data.assistant) resolveAssistantConfig(data.assistant);
+    } catch (err) {
+      return socket.emit('message', { id: data.id, text: 'Invalid assistant: ' + err.message });
+    }
     console.log('Create session: ' + data.id);
-    createSession(data.id, data.description);
+    createSession(data.id, data.description, data.assistant);
   });
 });
 
-// Send message
-app.post('/send-message', async (req, res) => {
-  console.log(req);
+// REST: session lifecycle (ADMIN_TOKEN)
+app.get('/sessions', requireAdmin, (req, res) => {
+  res.status(200).json({
+    status: true,
+    response: sessions.map(sessionView)
+  });
+});
+
+app.post('/sessions', requireAdmin, [
+  body('id').matches(/^[\w-]+$/).withMessage('The id can only have letters, numbers, _ and -'),
+  body('description').optional().isString(),
+  body('assistant').optional({ nullable: true }).isObject().withMessage('The assistant must be an object')
+], (req, res) => {
+  const errors = validationResult(req).formatWith(({ msg }) => msg);
+  if (!errors.isEmpty()) {
+    return res.status(422).json({
+      status: false,
+      message: errors.mapped()
+    });
+  }
+
+  if (sessions.some(sess => sess.id == req.body.id)) {
+    return res.status(409).json({
+      status: false,
+      message: `The session: ${req.body.id} already exists!`
+    });
+  }
+
+  if (req.body.assistant) {
+    try {
+      resolveAssistantConfig(req.body.assistant);
+    } catch (err) {
+      return res.status(err.status || 500).json({
+        status: false,
+        message: err.message
+      });
+    }
+  }
+
+  const session = createSession(req.body.id, req.body.description || '', req.body.assistant);
+  res.status(201).json({
+    status: true,
+    response: sessionView(session)
+  });
+});
 
+const findSession = function(req, res) {
+  const session = sessions.find(sess => sess.id == req.params.id);
+  if (!session) {
+    res.status(404).json({
+      status: false,
+      message: `The session: ${req.params.id} is not found!`
+    });
+  }
+  return session;
+}
+
+app.get('/sessions/:id', requireAdmin, (req, res) => {
+  const session = findSession(req, res);
+  if (!session) return;
+  res.status(200).json({
+    status: true,
+    response: sessionView(session)
+  });
+});
+
+// Current QR as PNG, like /qr.png in app.js
+app.get('/sessions/:id/qr.png', requireAdmin, (req, res) => {
+  const session = findSession(req, res);
+  if (!session) return;
+  if (!session.qr) {
+    return res.status(404).json({
+      status: false,
+      message: `No QR to scan (status: ${session.status})`
+    });
+  }
+  res.setHeader('Content-Type', 'image/png');
+  res.send(Buffer.from(session.qr.split(',')[1], 'base64'));
+});
+
+app.post('/sessions/:id/logout', requireAdmin, async (req, res) => {
+  const session = findSession(req, res);
+  if (!session) return;
+  if (session.status !== 'ready') {
+    return res.status(409).json({
+      status: false,
+      message: `The session is not logged in (status: ${session.status})`
+    });
+  }
+  try {
+    await logoutSession(session);
+    res.status(200).json({
+      status: true,
+      response: sessionView(session)
+    });
+  } catch (err) {
+    res.status(500).json({
+      status: false,
+      message: err.message
+    });
+  }
+});
+
+app.delete('/sessions/:id', requireAdmin, async (req, res) => {
+  const session = findSession(req, res);
+  if (!session) return;
+  try {
+    await deleteSession(session);
+    res.status(200).json({
+      status: true,
+      response: { id: session.id }
+    });
+  } catch (err) {
+    res.status(500).json({
+      status: false,
+      message: err.message
+    });
+  }
+});
+
+// Forget expired assistant conversations
+setInterval(function() {
+  sessions.filter(sess => sess.assistant).forEach(sess => {
+    sess.assistant.purge().catch(err => console.log('Failed to purge sessions of ' + sess.id + ': ', err));
+  });
+}, 60 * 60 * 1000).unref();
+
+// Save the assistants' pending conversations before Railway restarts the container
+process.on('SIGTERM', function() {
+  Promise.all(sessions.filter(sess => sess.assistant).map(sess => sess.assistant.flush()))
+    .catch(err => console.log('Failed to save assistant sessions: ', err))
+    .finally(() => process.exit(0));
+});
+
+// REST: API keys for the send endpoints (ADMIN_TOKEN), same scopes and audit log as app.js
+const apiKeys = createApiKeyStore(path.join(DATA_PATH, 'api-keys.json'));
+const requireApiKey = createApiKeyGuard({
+  store: apiKeys,
+  auditoria: createTranscriptLog(path.join(DATA_PATH, 'auditoria'))
+});
+
+const validationFailed = function(req, res) {
+  const errors = validationResult(req).formatWith(({ msg }) => msg);
+  if (errors.isEmpty()) return false;
+  res.status(422).json({
+    status: false,
+    message: errors.mapped()
+  });
+  return true;
+}
+
+app.get('/admin/api-keys', requireAdmin, (req, res) => {
+  res.status(200).json({
+    status: true,
+    response: apiKeys.list()
+  });
+});
+
+app.post('/admin/api-keys', requireAdmin, apiKeyRules({ partial: false }), async (req, res) => {
+  if (validationFailed(req, res)) return;
+  try {
+    const created = await apiKeys.create({
+      nombre: req.body.nombre,
+      scopes: [...new Set(req.body.scopes)],
+      rateLimit: req.body.rateLimit
+    });
+    res.status(201).json({
+      status: true,
+      response: created,
+      message: 'Save the key: it is not shown again'
+    });
+  } catch (err) {
+    res.status(500).json({
+      status: false,
+      message: err.message
+    });
+  }
+});
+
+app.delete('/admin/api-keys/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!(await apiKeys.remove(req.params.id))) {
+      return res.status(404).json({
+        status: false,
+        message: `The API key: ${req.params.id} is not found!`
+      });
+    }
+    res.status(200).json({
+      status: true,
+      response: { id: req.params.id }
+    });
+  } catch (err) {
+    res.status(500).json({
+      status: false,
+      message: err.message
+    });
+  }
+});
+
+// Send message
+app.post('/send-message', requireApiKey('send'), async (req, res) => {
   const sender = req.body.sender;
   const number = phoneNumberFormatter(req.body.number);
   const message = req.body.message;
@@ -212,7 +614,15 @@ app.post('/send-message', async (req, res) => {
    * Please check app.js for more validations example
    * You can add the same here!
    */
-  const isRegisteredNumber = await client.isRegisteredUser(number);
+  let isRegisteredNumber;
+  try {
+    isRegisteredNumber = await client.isRegisteredUser(number);
+  } catch (err) {
+    return res.status(503).json({
+      status: false,
+      message: 'WhatsApp did not respond: ' + err.message
+    });
+  }
 
   if (!isRegisteredNumber) {
     return res.status(422).json({
@@ -0,0 +1,88 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/analytics.js – demanda de cursos para los reportes del Ministerio
+ * Por día de Jujuy: mensajes por tipo, cursos consultados, intenciones y
+ * localidades mencionadas. En memoria y a disco agrupando cambios.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { readJson, writeJsonAtomic, createMutex } = require("./store");
+const { hoy } = require("./status");
+
+const vacio = () => ({ mensajes: 0, kinds: {}, cursos: {}, intents: {}, localidades: {}, latencia_ms: 0 });
+
+const contar = (obj, clave, n = 1) => {
+  if (clave === undefined || clave === null || clave === "") return;
+  obj[clave] = (obj[clave] || 0) + n;
+};
+
+const sumarDia = (acc, d) => {
+  acc.mensajes += d.mensajes;
+  acc.latencia_ms += d.latencia_ms;
+  for (const campo of ["kinds", "cursos", "intents", "localidades"]) {
+    for (const [k, n] of Object.entries(d[campo])) contar(acc[campo], k, n);
+  }
+  return acc;
+};
+
+// { a: 3, b: 7 } → [{ id: "b", total: 7 }, { id: "a", total: 3 }]
+const ranking = (obj) =>
+  Object.entries(obj).map(([id, total]) => ({ id, total })).sort((a, b) => b.total - a.total);
+
+const createAnalytics = (file, { delayMs = 5000 } = {}) => {
+  const dias = readJson(file, {}); // "YYYY-MM-DD" → vacio()
+  const lock = createMutex();
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    return lock(() => writeJsonAtomic(file, dias));
+  };
+
+  const schedule = () => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      flush().catch((err) => console.error("❌ Error guardando estadísticas:", err));
+    }, delayMs);
+  };
+
+  // Un turno: { kind, courses: [ids], intent, localidad, latencyMs }
+  const record = ({ kind, courses, intent, localidad, latencyMs }) => {
+    const dia = hoy();
+    const d = dias[dia] || (dias[dia] = vacio());
+    d.mensajes++;
+    d.latencia_ms += latencyMs || 0;
+    contar(d.kinds, kind);
+    for (const id of courses || []) contar(d.cursos, id);
+    contar(d.intents, intent);
+    contar(d.localidades, localidad);
+    schedule();
+  };
+
+  // Agregados por día y del período (YYYY-MM-DD, ambos inclusive)
+  const reporte = ({ desde, hasta } = {}) => {
+    const enRango = Object.keys(dias).sort()
+      .filter((d) => (!desde || d >= desde) && (!hasta || d <= hasta));
+    const total = enRango.reduce((acc, dia) => sumarDia(acc, dias[dia]), vacio());
+    const resumen = (d) => ({
+      mensajes: d.mensajes,
+      latencia_prom_ms: d.mensajes ? Math.round(d.latencia_ms / d.mensajes) : null,
+      errores: d.kinds.error || 0,
+      kinds: d.kinds,
+      cursos: ranking(d.cursos),
+      intents: ranking(d.intents),
+      localidades: ranking(d.localidades)
+    });
+    return {
+      total: resumen(total),
+      dias: enRango.map((dia) => ({ dia, ...resumen(dias[dia]) }))
+    };
+  };
+
+  return { record, reporte, flush };
+};
+
+module.exports = {
+  createAnalytics
+};
@@ -0,0 +1,136 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/apikeys.js – API keys para los endpoints REST de envío
+ * En disco sólo queda el SHA-256 de cada key; el valor se muestra una
+ * única vez al crearla. Cada key tiene scopes y su propio límite.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const crypto = require("crypto");
+const { body } = require("express-validator");
+const { readJson, writeJsonAtomic, createMutex } = require("./store");
+const { isAdminRequest, tokenFromHeader } = require("./auth");
+const { createRateLimiter } = require("./ratelimit");
+
+const SCOPES = ["send", "media", "groups", "clear"];
+const RATE_LIMIT_DEFAULT = 30; // pedidos por minuto
+
+const hash = (key) => crypto.createHash("sha256").update(String(key)).digest("hex");
+
+// id → { id, nombre, hash, prefijo, scopes, rateLimit, createdAt, lastUsedAt }
+const createApiKeyStore = (file) => {
+  let keys = readJson(file, {});
+  const lock = createMutex();
+
+  const save = (next) => writeJsonAtomic(file, next).then(() => { keys = next; });
+  const publica = ({ hash: _h, ...k }) => k;
+
+  // Devuelve { key, ...datos }: la key en claro no vuelve a estar disponible
+  const create = ({ nombre, scopes, rateLimit }) => lock(async () => {
+    const id = crypto.randomBytes(4).toString("hex");
+    const key = `cmk_${crypto.randomBytes(24).toString("base64url")}`;
+    const entry = {
+      id,
+      nombre,
+      hash: hash(key),
+      prefijo: key.slice(0, 8),
+      scopes,
+      rateLimit: rateLimit || RATE_LIMIT_DEFAULT,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    await save({ ...keys, [id]: entry });
+    return { key, ...publica(entry) };
+  });
+
+  const update = (id, cambios) => lock(async () => {
+    if (!keys[id]) return null;
+    const entry = { ...keys[id], ...cambios };
+    await save({ ...keys, [id]: entry });
+    return publica(entry);
+  });
+
+  const remove = (id) => lock(async () => {
+    if (!keys[id]) return false;
+    const next = { ...keys };
+    delete next[id];
+    await save(next);
+    return true;
+  });
+
+  // Datos de la key (sin hash) o null si no existe
+  const verify = (key) => {
+    if (!key) return null;
+    const h = hash(key);
+    const entry = Object.values(keys).find((k) => k.hash === h);
+    return entry ? publica(entry) : null;
+  };
+
+  // Último uso: sólo informativo, no se espera la escritura
+  const touch = (id) => lock(async () => {
+    if (!keys[id]) return;
+    await save({ ...keys, [id]: { ...keys[id], lastUsedAt: new Date().toISOString() } });
+  });
+
+  const get = (id) => (keys[id] ? publica(keys[id]) : null);
+  const list = () => Object.values(keys).map(publica);
+
+  return { create, update, remove, verify, touch, get, list };
+};
+
+// Middleware requireApiKey(scope): scope uno o varios (alcanza con tener alguno); ADMIN_TOKEN
+// habilita todos. Cada llamada, autorizada o no, queda en `auditoria` con su código de respuesta.
+const createApiKeyGuard = ({ store, auditoria }) => {
+  const limite = createRateLimiter({ max: RATE_LIMIT_DEFAULT, windowMs: 60 * 1000 });
+
+  return (scope) => (req, res, next) => {
+    const scopes = [].concat(scope);
+    const admin = isAdminRequest(req);
+    const key = admin
+      ? { id: "admin", nombre: "admin", scopes: SCOPES }
+      : store.verify(req.headers["x-api-key"] || tokenFromHeader(req.headers.authorization));
+
+    const t0 = Date.now();
+    res.on("finish", () => {
+      auditoria.record({
+        keyId: key ? key.id : null,
+        scope: scopes.join(","),
+        method: req.method,
+        path: req.path,
+        ip: req.ip,
+        destino: req.body.number || req.body.id || req.body.name,
+        status: res.statusCode,
+        latencyMs: Date.now() - t0
+      }).catch((err) => console.error("❌ Error guardando auditoría:", err));
+    });
+
+    if (!key) return res.status(401).json({ status: false, message: "API key inválida o ausente" });
+    if (!scopes.some((sc) => key.scopes.includes(sc))) {
+      return res.status(403).json({ status: false, message: `La API key no tiene el scope "${scopes.join(" o ")}"` });
+    }
+    if (!admin) {
+      if (!limite.take(key.id, key.rateLimit)) {
+        res.setHeader("Retry-After", Math.ceil(limite.retryAfterMs(key.id, key.rateLimit) / 1000));
+        return res.status(429).json({ status: false, message: "Demasiados pedidos para esta API key" });
+      }
+      store.touch(key.id).catch((err) => console.error("❌ Error actualizando API key:", err));
+    }
+    req.apiKey = key;
+    next();
+  };
+};
+
+// Reglas de express-validator para crear (partial: false) o editar una key
+const apiKeyRules = ({ partial }) => [
+  (partial ? body("nombre").optional() : body("nombre")).isString().trim().notEmpty().withMessage("Falta nombre"),
+  (partial ? body("scopes").optional() : body("scopes")).isArray({ min: 1 }).withMessage("scopes debe ser una lista"),
+  body("scopes.*").isIn(SCOPES).withMessage(`Scopes válidos: ${SCOPES.join(", ")}`),
+  body("rateLimit").optional().isInt({ min: 1, max: 10000 }).withMessage("rateLimit: pedidos por minuto (1-10000)").toInt()
+];
+
+module.exports = {
+  SCOPES,
+  createApiKeyStore,
+  createApiKeyGuard,
+  apiKeyRules
+};
@@ -0,0 +1,60 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/auth.js – credencial de administrador (ADMIN_TOKEN)
+ * Acepta "Authorization: Bearer <token>" o Basic (usuario libre,
+ * contraseña = token) para que el navegador pueda pedirla.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const crypto = require("crypto");
+
+const safeEqual = (a, b) => {
+  const A = Buffer.from(String(a));
+  const B = Buffer.from(String(b));
+  return A.length === B.length && crypto.timingSafeEqual(A, B);
+};
+
+const tokenFromHeader = (header) => {
+  const [scheme, value] = (header || "").split(" ");
+  if (/^bearer$/i.test(scheme)) return value || "";
+  if (/^basic$/i.test(scheme)) {
+    const decoded = Buffer.from(value || "", "base64").toString("utf-8");
+    return decoded.slice(decoded.indexOf(":") + 1);
+  }
+  return "";
+};
+
+const isAdminRequest = (req) => {
+  const adminToken = process.env.ADMIN_TOKEN || "";
+  return !!adminToken && safeEqual(tokenFromHeader(req.headers.authorization), adminToken);
+};
+
+// Socket.IO: el navegador reenvía el Basic ya cargado; si no, ?token= en la conexión
+const isAdminSocket = (socket) => {
+  const adminToken = process.env.ADMIN_TOKEN || "";
+  if (!adminToken) return false;
+  return isAdminRequest(socket.request) || safeEqual((socket.handshake.query || {}).token || "", adminToken);
+};
+
+const requireAdminSocket = (socket, next) =>
+  isAdminSocket(socket) ? next() : next(new Error("No autorizado"));
+
+const requireAdmin = (req, res, next) => {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(503).json({ status: false, message: "Admin deshabilitado: falta ADMIN_TOKEN" });
+  }
+  if (!isAdminRequest(req)) {
+    res.setHeader("WWW-Authenticate", 'Basic realm="camila-admin"');
+    return res.status(401).json({ status: false, message: "No autorizado" });
+  }
+  next();
+};
+
+module.exports = {
+  safeEqual,
+  tokenFromHeader,
+  isAdminRequest,
+  isAdminSocket,
+  requireAdminSocket,
+  requireAdmin
+};
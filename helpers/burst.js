@@ -0,0 +1,65 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/burst.js – ráfagas de mensajes por chat
+ * Mucha gente escribe la consulta en varios mensajes seguidos
+ * (“hola” / “quería saber” / “de los cursos de soldadura”). Se juntan
+ * en un solo turno y los turnos de cada chat corren de a uno, en orden.
+ *──────────────────────────────────────────────────────────────────────*/
+
+/*
+ * ventanaMs:   espera desde el último mensaje antes de atender la ráfaga
+ * maxEsperaMs: tope desde el primero (alguien que no para de escribir)
+ * procesar(clave, items) → promesa; los items llegan en el orden de push
+ */
+const createBurstQueue = ({ ventanaMs, maxEsperaMs = ventanaMs * 4, procesar }) => {
+  const chats = new Map(); // clave → { items, timer, primero, pendientes, cola } (se borra al vaciarse)
+
+  const disparar = (clave, c) => {
+    c.timer = null;
+    const items = c.items;
+    c.items = [];
+    c.pendientes++;
+    c.cola = c.cola
+      .then(() => procesar(clave, items))
+      .catch((err) => console.error("❌ Error procesando mensajes:", err))
+      .finally(() => {
+        if (--c.pendientes === 0 && !c.items.length && !c.timer) chats.delete(clave);
+      });
+  };
+
+  // Los mensajes que llegan mientras se atiende un turno forman la próxima ráfaga
+  const push = (clave, item) => {
+    const c = chats.get(clave) || { items: [], timer: null, primero: 0, pendientes: 0, cola: Promise.resolve() };
+    chats.set(clave, c);
+    if (!c.items.length) c.primero = Date.now();
+    c.items.push(item);
+    clearTimeout(c.timer);
+    const espera = Math.max(0, Math.min(ventanaMs, c.primero + maxEsperaMs - Date.now()));
+    c.timer = setTimeout(() => disparar(clave, c), espera);
+  };
+
+  // Chats con mensajes esperando o un turno en curso
+  const activos = () => chats.size;
+
+  return { push, activos };
+};
+
+// Muestra “escribiendo…” en el chat mientras corre fn (WhatsApp lo apaga solo a los ~25 s)
+const escribiendo = async (msg, fn) => {
+  const chat = await msg.getChat().catch(() => null);
+  const marcar = () => chat && chat.sendStateTyping().catch(() => {});
+  marcar();
+  const timer = setInterval(marcar, 20 * 1000);
+  try {
+    return await fn();
+  } finally {
+    clearInterval(timer);
+    if (chat) chat.clearState().catch(() => {});
+  }
+};
+
+module.exports = {
+  createBurstQueue,
+  escribiendo
+};
@@ -0,0 +1,261 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/campaigns.js – campañas de difusión (“abrió la inscripción”)
+ * Destinatarios desde un CSV, plantilla con datos del curso, cola de a
+ * un envío con pausa + jitter (para no quemar el número) y bajas.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { readJson, writeJsonAtomic, createMutex } = require("./store");
+const { normalize } = require("./text");
+const { ESTADO_LABEL, fechaCorta } = require("./render");
+
+/* CSV ─────────────────────────────────────────────────────────────── */
+
+// Una línea CSV con comillas dobles opcionales; separador "," o ";" (Excel en español)
+const splitLinea = (linea, sep) => {
+  const celdas = [];
+  let actual = "";
+  let comillas = false;
+  for (let i = 0; i < linea.length; i++) {
+    const ch = linea[i];
+    if (comillas) {
+      if (ch === '"' && linea[i + 1] === '"') { actual += '"'; i++; }
+      else if (ch === '"') comillas = false;
+      else actual += ch;
+    } else if (ch === '"') comillas = true;
+    else if (ch === sep) { celdas.push(actual.trim()); actual = ""; }
+    else actual += ch;
+  }
+  celdas.push(actual.trim());
+  return celdas;
+};
+
+const COL_NUMERO = /^(numero|telefono|celular|whatsapp|number|phone)$/;
+const COL_NOMBRE = /^(nombre|name)$/;
+
+// Característica de 2 a 4 dígitos seguida del 15 de los celulares: "388 15 4123456" → "3884123456"
+const sin15 = (nacional) => {
+  for (const largo of [2, 3, 4]) {
+    if (nacional.slice(largo, largo + 2) === "15") return nacional.slice(0, largo) + nacional.slice(largo + 2);
+  }
+  return nacional;
+};
+
+/*
+ * Número de WhatsApp (sólo dígitos) a partir de lo que se cargó en la planilla.
+ * Los argentinos, con o sin 54/9, 0 o 15 ("0388 15-412-3456", "+54 9 388 412-3456"),
+ * salen como 549 + característica + número. Otro país sólo con "+" o "00" adelante.
+ * null si no tiene característica o no se puede saber el país.
+ */
+const numeroWhatsapp = (texto) => {
+  const crudo = String(texto || "").trim();
+  let digitos = crudo.replace(/\D/g, "");
+  if (crudo.startsWith("00")) digitos = digitos.slice(2);
+
+  let nacional;
+  if (digitos.startsWith("54")) nacional = digitos.slice(2).replace(/^9/, "");
+  else if (/^(\+|00)/.test(crudo)) return digitos.length >= 8 && digitos.length <= 15 ? digitos : null;
+  else nacional = digitos;
+
+  nacional = nacional.replace(/^0/, "");
+  if (nacional.length === 12) nacional = sin15(nacional);
+  return nacional.length === 10 ? `549${nacional}` : null;
+};
+
+/*
+ * Con encabezado usa las columnas numero/telefono/celular y nombre;
+ * sin encabezado, la primera columna es el número y la segunda el nombre.
+ * Devuelve { destinatarios: [{ numero, nombre }], invalidas: [{ linea, numero }] }
+ */
+const parseCsv = (texto) => {
+  const lineas = texto.replace(/^\uFEFF/, "").split(/\r?\n/).filter((l) => l.trim());
+  if (!lineas.length) return { destinatarios: [], invalidas: [] };
+
+  const sep = (lineas[0].match(/;/g) || []).length > (lineas[0].match(/,/g) || []).length ? ";" : ",";
+  const primera = splitLinea(lineas[0], sep).map(normalize);
+  const conEncabezado = primera.some((c) => COL_NUMERO.test(c));
+  const iNumero = conEncabezado ? primera.findIndex((c) => COL_NUMERO.test(c)) : 0;
+  const iNombre = conEncabezado ? primera.findIndex((c) => COL_NOMBRE.test(c)) : 1;
+
+  const destinatarios = [];
+  const invalidas = [];
+  lineas.slice(conEncabezado ? 1 : 0).forEach((linea, i) => {
+    const celdas = splitLinea(linea, sep);
+    const numero = numeroWhatsapp(celdas[iNumero]);
+    if (!numero) {
+      invalidas.push({ linea: i + (conEncabezado ? 2 : 1), numero: celdas[iNumero] || "" });
+      return;
+    }
+    destinatarios.push({ numero, nombre: iNombre >= 0 ? celdas[iNombre] || "" : "" });
+  });
+  return { destinatarios, invalidas };
+};
+
+/* Plantilla ───────────────────────────────────────────────────────── */
+
+// {{campo}} → valor; los del curso salen siempre del catálogo vigente al enviar
+const PLACEHOLDERS = {
+  nombre: (_c, d) => d.nombre || "",
+  titulo: (c) => c.titulo,
+  estado: (c) => ESTADO_LABEL[c.estado] || c.estado,
+  localidades: (c) => (c.localidades || []).join(", "),
+  inicio: (c) => fechaCorta(c.fecha_inicio),
+  fin: (c) => fechaCorta(c.fecha_fin),
+  inscripcion_hasta: (c) => fechaCorta(c.inscripcion_fin),
+  descripcion: (c) => c.descripcion_breve || "",
+  formulario: (c) => c.formulario || ""
+};
+const PLACEHOLDER_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+const placeholdersDe = (plantilla) => [...plantilla.matchAll(PLACEHOLDER_RE)].map((m) => m[1]);
+
+const renderPlantilla = (plantilla, curso, destinatario) =>
+  plantilla
+    .replace(PLACEHOLDER_RE, (_m, campo) => PLACEHOLDERS[campo](curso || {}, destinatario))
+    .replace(/[ \t]{2,}/g, " ")
+    .trim();
+
+/* Bajas ───────────────────────────────────────────────────────────── */
+
+// chatId → { since }: quienes pidieron no recibir más campañas
+const createOptOutStore = (file) => {
+  let bajas = readJson(file, {});
+  const lock = createMutex();
+
+  const save = (next) => writeJsonAtomic(file, next).then(() => { bajas = next; });
+
+  const add = (chatId) => lock(async () => {
+    if (bajas[chatId]) return false;
+    await save({ ...bajas, [chatId]: { since: new Date().toISOString() } });
+    return true;
+  });
+
+  const remove = (chatId) => lock(async () => {
+    if (!bajas[chatId]) return false;
+    const next = { ...bajas };
+    delete next[chatId];
+    await save(next);
+    return true;
+  });
+
+  const has = (chatId) => !!bajas[chatId];
+  const list = () => Object.entries(bajas).map(([chatId, b]) => ({ chatId, ...b }));
+
+  return { add, remove, has, list };
+};
+
+/* Campañas ────────────────────────────────────────────────────────── */
+
+const resumen = ({ destinatarios, ...c }) => {
+  const conteo = { pendiente: 0, enviado: 0, error: 0, omitido: 0 };
+  for (const d of destinatarios) conteo[d.estado]++;
+  return { ...c, total: destinatarios.length, ...conteo };
+};
+
+// id → { id, nombre, cursoId, plantilla, estado (en_curso | pausada | finalizada | cancelada),
+//        createdAt, destinatarios: [{ chatId, nombre, estado, error?, enviadoAt? }] }
+const createCampaignStore = (file) => {
+  let campanias = readJson(file, {});
+  const lock = createMutex();
+
+  const save = (next) => writeJsonAtomic(file, next).then(() => { campanias = next; });
+
+  // destinatarios: [{ chatId, nombre }], sin repetir chatId
+  const create = ({ nombre, cursoId, plantilla, destinatarios }) => lock(async () => {
+    const id = Math.max(0, ...Object.keys(campanias).map(Number)) + 1;
+    const vistos = new Set();
+    const lista = destinatarios
+      .filter((d) => !vistos.has(d.chatId) && vistos.add(d.chatId))
+      .map((d) => ({ chatId: d.chatId, nombre: d.nombre || "", estado: "pendiente" }));
+    const campania = {
+      id, nombre, cursoId: cursoId || null, plantilla, estado: "en_curso",
+      createdAt: new Date().toISOString(), destinatarios: lista
+    };
+    await save({ ...campanias, [id]: campania });
+    return campania;
+  });
+
+  const setEstado = (id, estado) => lock(async () => {
+    const c = campanias[id];
+    if (!c) return null;
+    await save({ ...campanias, [id]: { ...c, estado } });
+    return campanias[id];
+  });
+
+  // Resultado de un envío; la campaña se cierra cuando no quedan pendientes
+  const marcar = (id, chatId, cambios) => lock(async () => {
+    const c = campanias[id];
+    if (!c) return;
+    const destinatarios = c.destinatarios.map((d) => (d.chatId === chatId ? { ...d, ...cambios } : d));
+    const quedan = destinatarios.some((d) => d.estado === "pendiente");
+    await save({
+      ...campanias,
+      [id]: { ...c, destinatarios, estado: !quedan && c.estado === "en_curso" ? "finalizada" : c.estado }
+    });
+  });
+
+  // Próximo envío: la campaña en curso más antigua, en el orden del CSV
+  const siguiente = () => {
+    for (const c of Object.values(campanias).sort((a, b) => a.id - b.id)) {
+      if (c.estado !== "en_curso") continue;
+      const destinatario = c.destinatarios.find((d) => d.estado === "pendiente");
+      if (destinatario) return { campania: c, destinatario };
+    }
+    return null;
+  };
+
+  const get = (id) => campanias[id] || null;
+  const list = () => Object.values(campanias).map(resumen);
+
+  return { create, setEstado, marcar, siguiente, get, list, resumen };
+};
+
+/*
+ * Cola de envío: de a uno, con delayMs + azar(jitterMs) entre mensajes.
+ * listo(): si WhatsApp está conectado; si no, la cola para y se retoma con run().
+ * enviar(campania, destinatario) rechaza si el envío falló.
+ */
+const createCampaignRunner = ({ store, optouts, enviar, listo, delayMs, jitterMs }) => {
+  let corriendo = false;
+  const dormir = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  const run = async () => {
+    if (corriendo) return;
+    corriendo = true;
+    try {
+      while (listo()) {
+        const next = store.siguiente();
+        if (!next) break;
+        const { campania, destinatario } = next;
+
+        if (optouts.has(destinatario.chatId)) {
+          await store.marcar(campania.id, destinatario.chatId, { estado: "omitido", error: "baja" });
+          continue;
+        }
+        try {
+          await enviar(campania, destinatario);
+          await store.marcar(campania.id, destinatario.chatId, { estado: "enviado", enviadoAt: new Date().toISOString() });
+        } catch (err) {
+          await store.marcar(campania.id, destinatario.chatId, { estado: "error", error: err.message });
+        }
+        await dormir(delayMs + Math.random() * jitterMs);
+      }
+    } finally {
+      corriendo = false;
+    }
+  };
+
+  return { run, activo: () => corriendo };
+};
+
+module.exports = {
+  PLACEHOLDERS,
+  numeroWhatsapp,
+  parseCsv,
+  placeholdersDe,
+  renderPlantilla,
+  createOptOutStore,
+  createCampaignStore,
+  createCampaignRunner
+};
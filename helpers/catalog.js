@@ -0,0 +1,142 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/catalog.js – esquema de un curso para la API de administración
+ * Reglas de express-validator con los mismos campos que lee pickCourse,
+ * y pickCourse mismo (el curso saneado que ve el modelo).
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { body } = require("express-validator");
+const { sanitize } = require("./text");
+
+const ESTADOS = ["inscripcion_abierta", "proximo", "inscripcion_cerrada", "en_curso", "finalizado"];
+
+const COURSE_FIELDS = [
+  "id", "titulo", "descripcion_breve", "descripcion_completa", "actividades", "duracion_total",
+  "fecha_inicio", "fecha_fin", "frecuencia_semanal", "duracion_clase_horas", "dias_horarios",
+  "localidades", "direcciones", "requisitos", "materiales", "formulario", "imagen", "estado",
+  "inscripcion_inicio", "inscripcion_fin", "estado_manual"
+];
+
+const stringList = (field, max) => [
+  body(field).optional().isArray({ max }).withMessage(`Debe ser una lista de hasta ${max} textos`),
+  body(`${field}.*`).isString().withMessage("Debe ser texto")
+];
+
+const optionalDate = (field) =>
+  body(field).optional({ checkFalsy: true }).isISO8601({ strict: true }).withMessage("Fecha inválida (YYYY-MM-DD)");
+
+// partial = true para PATCH: ningún campo es obligatorio
+const courseRules = ({ partial = false } = {}) => {
+  const titulo = body("titulo");
+  return [
+    body("id").optional().isInt({ min: 1 }).withMessage("Debe ser un entero positivo").toInt(),
+    (partial ? titulo.optional() : titulo).isString().trim().notEmpty().withMessage("El título es obligatorio"),
+    body(["descripcion_breve", "descripcion_completa", "actividades", "duracion_total", "imagen"])
+      .optional().isString().withMessage("Debe ser texto"),
+    optionalDate("fecha_inicio"),
+    optionalDate("fecha_fin"),
+    body("frecuencia_semanal").optional().custom((v) => {
+      if (v === "otro" || (Number.isInteger(v) && v > 0 && v <= 7)) return true;
+      throw new Error("Debe ser un entero entre 1 y 7 u \"otro\"");
+    }),
+    body("duracion_clase_horas").optional().isArray({ max: 3 }).withMessage("Lista de hasta 3 números"),
+    body("duracion_clase_horas.*").isFloat({ min: 0 }).withMessage("Debe ser un número"),
+    ...stringList("dias_horarios", 8),
+    ...stringList("localidades", 12),
+    ...stringList("direcciones", 8),
+    body("requisitos").optional().isObject().withMessage("Debe ser un objeto"),
+    body(["requisitos.mayor_18", "requisitos.carnet_conducir", "requisitos.primaria_completa", "requisitos.secundaria_completa"])
+      .optional().isBoolean().withMessage("Debe ser true/false"),
+    ...stringList("requisitos.otros", 10),
+    body("materiales").optional().isObject().withMessage("Debe ser un objeto"),
+    ...stringList("materiales.aporta_estudiante", 30),
+    ...stringList("materiales.entrega_curso", 30),
+    body("formulario").optional({ checkFalsy: true }).isURL({ require_protocol: true }).withMessage("URL inválida"),
+    body("estado").optional().isIn(ESTADOS).withMessage(`Debe ser uno de: ${ESTADOS.join(", ")}`),
+    optionalDate("inscripcion_inicio"),
+    optionalDate("inscripcion_fin"),
+    body("estado_manual").optional().isBoolean().withMessage("Debe ser true/false").toBoolean()
+  ];
+};
+
+// Sólo los campos conocidos (descarta claves extra del body)
+const pickFields = (src) => {
+  const out = {};
+  for (const f of COURSE_FIELDS) if (src[f] !== undefined) out[f] = src[f];
+  return out;
+};
+
+// Se valida sobre el curso ya combinado (en PATCH puede venir una sola fecha)
+const fechasError = (c) => {
+  if (c.fecha_inicio && c.fecha_fin && c.fecha_fin < c.fecha_inicio) {
+    return "fecha_fin no puede ser anterior a fecha_inicio";
+  }
+  if (c.inscripcion_inicio && c.inscripcion_fin && c.inscripcion_fin < c.inscripcion_inicio) {
+    return "inscripcion_fin no puede ser anterior a inscripcion_inicio";
+  }
+  return null;
+};
+
+const nextId = (courses) => courses.reduce((max, c) => Math.max(max, Number(c.id) || 0), 0) + 1;
+
+/* Curso normalizado (lo que ve el modelo) ───────────────────────────── */
+
+const meses = [
+  "enero","febrero","marzo","abril","mayo","junio",
+  "julio","agosto","septiembre","octubre","noviembre","diciembre"
+];
+const fechaLegible = (iso) => {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return `${d.getUTCDate()} de ${meses[d.getUTCMonth()]}`;
+};
+
+const pickCourse = (c) => ({
+  id: c.id,
+  titulo: sanitize(c.titulo),
+  descripcion_breve: sanitize(c.descripcion_breve),
+  descripcion_completa: sanitize(c.descripcion_completa),
+  actividades: sanitize(c.actividades),
+  duracion_total: sanitize(c.duracion_total),
+  fecha_inicio: c.fecha_inicio || "",
+  fecha_inicio_legible: fechaLegible(c.fecha_inicio || ""),
+  fecha_fin: c.fecha_fin || "",
+  fecha_fin_legible: fechaLegible(c.fecha_fin || ""),
+  inscripcion_inicio: c.inscripcion_inicio || "",
+  inscripcion_fin: c.inscripcion_fin || "",
+  frecuencia_semanal: c.frecuencia_semanal ?? "otro",
+  duracion_clase_horas: Array.isArray(c.duracion_clase_horas) ? c.duracion_clase_horas.slice(0, 3) : [],
+  dias_horarios: Array.isArray(c.dias_horarios) ? c.dias_horarios.map(sanitize).slice(0, 8) : [],
+  localidades: Array.isArray(c.localidades) ? c.localidades.map(sanitize).slice(0, 12) : [],
+  direcciones: Array.isArray(c.direcciones) ? c.direcciones.map(sanitize).slice(0, 8) : [],
+  requisitos: {
+    mayor_18: !!(c.requisitos && c.requisitos.mayor_18),
+    carnet_conducir: !!(c.requisitos && c.requisitos.carnet_conducir),
+    primaria_completa: !!(c.requisitos && c.requisitos.primaria_completa),
+    secundaria_completa: !!(c.requisitos && c.requisitos.secundaria_completa),
+    otros: (c.requisitos && Array.isArray(c.requisitos.otros)) ? c.requisitos.otros.map(sanitize).slice(0, 10) : []
+  },
+  materiales: {
+    aporta_estudiante: (c.materiales && Array.isArray(c.materiales.aporta_estudiante))
+      ? c.materiales.aporta_estudiante.map(sanitize).slice(0, 30)
+      : [],
+    entrega_curso: (c.materiales && Array.isArray(c.materiales.entrega_curso))
+      ? c.materiales.entrega_curso.map(sanitize).slice(0, 30)
+      : []
+  },
+  formulario: sanitize(c.formulario || ""),
+  imagen: sanitize(c.imagen || ""),
+  estado: c.estado || "proximo"
+});
+
+module.exports = {
+  ESTADOS,
+  fechaLegible,
+  pickCourse,
+  courseRules,
+  pickFields,
+  fechasError,
+  nextId
+};
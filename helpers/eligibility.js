@@ -0,0 +1,143 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/eligibility.js – “¿a qué cursos puedo anotarme?”
+ * Flujo corto (edad → estudios → carnet) guardado en la sesión del chat;
+ * al terminar lista sólo los cursos cuyos requisitos cumple, por estado.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { normalize } = require("./text");
+const { ESTADO_LABEL } = require("./render");
+
+const TRIGGER_RE = /\b(a )?(que|cuales) cursos? (puedo|podria) (anotarme|inscribirme|hacer|cursar|acceder)\b|\bpara (que|cuales) cursos? (califico|sirvo|cumplo)\b|\bcumplo (los )?requisitos\b/;
+const REINICIAR_RE = /\b(cambiar|actualizar|corregir) (mis )?datos\b/;
+const SALIR_RE = /^(cancelar|salir|chau|no quiero)\b/;
+
+const ORDEN_ESTADOS = ["inscripcion_abierta", "proximo", "inscripcion_cerrada", "en_curso", "finalizado"];
+const NIVELES = ["ninguno", "primaria", "secundaria"];
+
+const PREGUNTAS = {
+  edad: "Para ver a qué cursos podés anotarte te hago 3 preguntas rápidas 🙂\n1/3: ¿Cuántos años tenés?",
+  estudios: "2/3: ¿Hasta dónde estudiaste?\n1) Sin estudios o primaria incompleta\n2) Primaria completa\n3) Secundaria completa",
+  carnet: "3/3: ¿Tenés carnet de conducir? (sí / no)"
+};
+
+const parseEdad = (n) => {
+  const m = n.match(/\b(\d{1,2})\b/);
+  const edad = m ? Number(m[1]) : NaN;
+  return edad >= 10 && edad <= 99 ? edad : null;
+};
+
+const INCOMPLETO_RE = /\b(incomplet\w*|no (la |lo )?termin\w*|sin terminar|cursando|dejo|deje)\b/;
+
+const parseEstudios = (n) => {
+  if (/^\s*1\b/.test(n)) return "ninguno";
+  if (/^\s*2\b/.test(n)) return "primaria";
+  if (/^\s*3\b/.test(n)) return "secundaria";
+  if (/\b(secundari\w*|secu|polimodal)\b/.test(n)) return INCOMPLETO_RE.test(n) ? "primaria" : "secundaria";
+  if (/\b(primari\w*)\b/.test(n)) return INCOMPLETO_RE.test(n) ? "ninguno" : "primaria";
+  if (/\b(ningun\w*|nada|sin estudios)\b/.test(n)) return "ninguno";
+  return null;
+};
+
+const parseSiNo = (n) => {
+  if (/^(si|sip|claro|tengo|obvio|por supuesto)\b/.test(n) || /\bsi tengo\b/.test(n)) return true;
+  if (/^(no|nop|nunca|todavia no)\b/.test(n) || /\bno tengo\b/.test(n)) return false;
+  return null;
+};
+
+// Edad mínima escrita en "otros" (“Ser mayor de 16 años”)
+const edadMinimaOtros = (otros = []) =>
+  otros.reduce((min, o) => {
+    const m = normalize(o).match(/mayor de (\d{1,2})/);
+    return m ? Math.max(min, Number(m[1])) : min;
+  }, 0);
+
+const cumple = (curso, perfil) => {
+  const r = curso.requisitos || {};
+  const nivel = NIVELES.indexOf(perfil.estudios);
+  if (r.mayor_18 && perfil.edad < 18) return false;
+  if (perfil.edad < edadMinimaOtros(r.otros)) return false;
+  if (r.primaria_completa && nivel < 1) return false;
+  if (r.secundaria_completa && nivel < 2) return false;
+  if (r.carnet_conducir && !perfil.carnet) return false;
+  return true;
+};
+
+const listarAptos = (courses, perfil) => {
+  const aptos = courses.filter((c) => cumple(c, perfil));
+  if (!aptos.length) {
+    return "Con los datos que me diste no encontré cursos cuyos requisitos cumplas por ahora. " +
+      "Cuando se sumen cursos nuevos podés volver a preguntarme.";
+  }
+
+  const bloques = ORDEN_ESTADOS
+    .map((estado) => {
+      const delEstado = aptos.filter((c) => c.estado === estado);
+      if (!delEstado.length) return "";
+      const lineas = delEstado.map((c) =>
+        `• *${c.titulo}*` + (c.localidades && c.localidades.length ? ` (${c.localidades.join(", ")})` : ""));
+      return `*${ESTADO_LABEL[estado]}*\n${lineas.join("\n")}`;
+    })
+    .filter(Boolean);
+
+  return `Según tus datos, cumplís los requisitos de estos cursos:\n\n${bloques.join("\n\n")}\n\n` +
+    "Algunos cursos piden además otros requisitos: preguntame por el que te interese y te paso el detalle. " +
+    "Si querés corregir tus datos escribí “cambiar mis datos”.";
+};
+
+const perfilCompleto = (p) => !!p && p.edad != null && p.estudios != null && p.carnet != null;
+
+/*
+ * Procesa el mensaje si corresponde al flujo. Usa state.perfil (respuestas guardadas)
+ * y state.elegibilidad ({ paso }) mientras pregunta. Devuelve el texto o null.
+ */
+const manejar = (state, message, courses) => {
+  const n = normalize(message);
+  const enCurso = state.elegibilidad && state.elegibilidad.paso;
+
+  if (!enCurso) {
+    const reiniciar = REINICIAR_RE.test(n);
+    if (!reiniciar && !TRIGGER_RE.test(n)) return null;
+    if (!reiniciar && perfilCompleto(state.perfil)) return listarAptos(courses, state.perfil);
+    state.perfil = {};
+    state.elegibilidad = { paso: "edad" };
+    return PREGUNTAS.edad;
+  }
+
+  if (SALIR_RE.test(n)) {
+    state.elegibilidad = null;
+    return "Listo, dejamos las preguntas. Cuando quieras, preguntame por cualquier curso.";
+  }
+
+  const perfil = state.perfil || (state.perfil = {});
+  if (enCurso === "edad") {
+    const edad = parseEdad(n);
+    if (edad == null) return "No te entendí 🙈. Escribí tu edad en números, por ejemplo “25”.";
+    perfil.edad = edad;
+    state.elegibilidad = { paso: "estudios" };
+    return PREGUNTAS.estudios;
+  }
+  if (enCurso === "estudios") {
+    const estudios = parseEstudios(n);
+    if (estudios == null) return "Respondé con 1, 2 o 3:\n" + PREGUNTAS.estudios.split("\n").slice(1).join("\n");
+    perfil.estudios = estudios;
+    state.elegibilidad = { paso: "carnet" };
+    return PREGUNTAS.carnet;
+  }
+  if (enCurso === "carnet") {
+    const carnet = parseSiNo(n);
+    if (carnet == null) return "Respondé “sí” o “no”: ¿tenés carnet de conducir?";
+    perfil.carnet = carnet;
+    state.elegibilidad = null;
+    return listarAptos(courses, perfil);
+  }
+
+  state.elegibilidad = null;
+  return null;
+};
+
+module.exports = {
+  manejar,
+  cumple
+};
@@ -0,0 +1,134 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/fallback.js – respuestas por reglas cuando OpenAI no responde
+ * Cubre las PREGUNTAS FRECUENTES del prompt (¿me puedo inscribir?,
+ * ¿cuándo empieza?, ¿dónde se dicta?, cursos en {localidad}) y devuelve
+ * la misma salida estructurada que el modelo: { intent, course_ids, note }.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { normalize } = require("./text");
+const retrieval = require("./retrieval");
+
+const INTENT_RULES = [
+  ["inscripcion", /\b(inscrib\w*|inscripcion|anot\w*|formulario|link)\b/],
+  ["fechas", /\b(cuando|fecha\w*|empieza|arranca|comienza|inicia|termina)\b/],
+  ["sede", /\b(donde|sede\w*|direccion\w*|lugar|ubicacion|queda)\b/],
+  ["requisitos", /\b(requisito\w*|piden|edad)\b/],
+  ["saludo", /^(hola|buenas|buen dia|buenos dias|buenas tardes|buenas noches)\b/]
+];
+
+// “cursos en Palpalá”, “hay algo en Perico?”
+const LOCALIDAD_RE = /\b(?:cursos?|algo|hay) en ([\p{L} ]{3,40})$/u;
+
+// Localidades reales del catálogo (normalizada → como figura en el JSON)
+const localidadesCatalogo = (courses) => {
+  const map = new Map();
+  for (const c of courses) {
+    for (const l of c.localidades || []) {
+      if (!/que lo requieran/i.test(l)) map.set(normalize(l), l);
+    }
+  }
+  return map;
+};
+
+const capitalizar = (s) => s.replace(/(^|\s)(\p{L})/gu, (_m, sp, ch) => sp + ch.toUpperCase());
+
+const NOTA_INSCRIPCION = {
+  inscripcion_abierta: "¡Sí! La inscripción está abierta, te dejo el formulario.",
+  proximo: "Todavía no: la inscripción de este curso aún no está habilitada.",
+  inscripcion_cerrada: "No, la inscripción de este curso ya cerró (todavía no empezó a dictarse).",
+  en_curso: "No, este curso ya se está dictando y la inscripción está cerrada.",
+  finalizado: "No, este curso ya finalizó y por ahora no hay inscripción activa."
+};
+
+const detectarIntent = (n) => {
+  for (const [intent, re] of INTENT_RULES) if (re.test(n)) return intent;
+  return null;
+};
+
+/*
+ * message: texto del usuario; courses: catálogo (pickCourse); index: de retrieval;
+ * lastCourseIds: cursos del turno anterior (para “¿y cuándo empieza?”).
+ */
+const responder = ({ message, courses, index, lastCourseIds = [] }) => {
+  const n = normalize(message);
+  const intent = detectarIntent(n);
+  const byId = (id) => courses.find((c) => c.id === id);
+
+  // 1) Cursos en una localidad
+  const localidades = localidadesCatalogo(courses);
+  const nombrada = [...localidades.keys()].find((l) => n.includes(l));
+  if (nombrada) {
+    const enLocalidad = courses.filter((c) => (c.localidades || []).some((l) => normalize(l) === nombrada));
+    const hits = retrieval.search(index, n.replace(nombrada, ""), 4)
+      .filter((h) => enLocalidad.includes(h.course));
+    const elegidos = (hits.length ? hits.map((h) => h.course) : enLocalidad).slice(0, 4);
+    return {
+      intent: "listar_cursos",
+      course_ids: elegidos.map((c) => c.id),
+      note: `Estos son los cursos en ${localidades.get(nombrada)}:`
+    };
+  }
+
+  // 2) Localidad que no está en el catálogo
+  const pedido = n.match(LOCALIDAD_RE);
+  if (pedido) {
+    return {
+      intent: "listar_cursos",
+      course_ids: [],
+      note: `No encontré cursos en ${capitalizar(pedido[1])}. Hay cursos en: ${[...localidades.values()].join(", ")}.`
+    };
+  }
+
+  // 3) Curso nombrado en el mensaje (o el del turno anterior si es una repregunta)
+  const hits = retrieval.search(index, message, 4);
+  let elegidos = hits.map((h) => h.course);
+  if (hits.length > 1 && hits[0].score >= hits[1].score * 1.5) elegidos = [hits[0].course];
+  if (!elegidos.length && intent && intent !== "saludo") elegidos = lastCourseIds.map(byId).filter(Boolean).slice(0, 1);
+
+  if (!elegidos.length) {
+    const abiertos = courses.filter((c) => c.estado === "inscripcion_abierta").slice(0, 4);
+    return {
+      intent: intent === "saludo" ? "saludo" : "otro",
+      course_ids: abiertos.map((c) => c.id),
+      note: (intent === "saludo" ? "¡Hola! Soy Camila 👋. " : "") +
+        (abiertos.length
+          ? "Estos cursos tienen la inscripción abierta. Contame qué oficio o localidad te interesa."
+          : "Contame qué oficio o localidad te interesa y te digo qué cursos hay.")
+    };
+  }
+
+  // 4) Pregunta puntual sobre un curso
+  const curso = elegidos[0];
+  let note = "";
+  if (elegidos.length === 1) {
+    if (intent === "inscripcion") note = NOTA_INSCRIPCION[curso.estado] || "";
+    if (intent === "sede" && curso.direcciones && curso.direcciones.length) {
+      note = `Se dicta en: ${curso.direcciones.join("; ")}.`;
+    }
+    if (intent === "requisitos") {
+      const r = curso.requisitos || {};
+      const lista = [
+        r.mayor_18 ? "ser mayor de 18 años" : "",
+        r.carnet_conducir ? "carnet de conducir" : "",
+        r.primaria_completa ? "primaria completa" : "",
+        r.secundaria_completa ? "secundaria completa" : "",
+        ...(r.otros || [])
+      ].filter(Boolean);
+      note = lista.length ? `Requisitos: ${lista.join("; ")}.` : "El curso no tiene requisitos especiales cargados.";
+    }
+  } else {
+    note = "Encontré estos cursos:";
+  }
+
+  return {
+    intent: intent && intent !== "saludo" ? intent : (elegidos.length === 1 ? "detalle_curso" : "listar_cursos"),
+    course_ids: elegidos.map((c) => c.id),
+    note
+  };
+};
+
+module.exports = {
+  responder
+};
@@ -0,0 +1,67 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/gazetteer.js – localidades y barrios de Jujuy con coordenadas
+ * (localidades_jujuy.json, centro aproximado de cada lugar). Vincula
+ * cursos a lugares por localidades/direcciones y ordena por distancia.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { normalize } = require("./text");
+
+// Distancia en km entre dos puntos (haversine)
+const distanciaKm = (a, b) => {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const createGazetteer = (entries) => {
+  // Nombres y alias normalizados, los más largos primero (“san pedrito” antes que “san pedro”)
+  const nombres = entries
+    .flatMap((e) => [e.nombre, ...(e.aliases || [])].map((n) => ({ re: new RegExp(`\\b${escapeRe(normalize(n))}\\b`), largo: n.length, e })))
+    .sort((x, y) => y.largo - x.largo);
+
+  // Lugar mencionado en un texto libre (o null)
+  const buscar = (text) => {
+    const n = normalize(text);
+    const hit = nombres.find((x) => x.re.test(n));
+    return hit ? hit.e : null;
+  };
+
+  // Lugares donde se dicta un curso: localidades y, si no hay match, direcciones
+  const sedesDeCurso = (c) => {
+    const desde = (list) => [...new Set((list || []).map(buscar).filter(Boolean))];
+    const porLocalidad = desde(c.localidades);
+    return porLocalidad.length ? porLocalidad : desde(c.direcciones);
+  };
+
+  // ¿El curso se dicta en el lugar? (un barrio cuenta para su localidad)
+  const cursoEn = (c, lugar) =>
+    sedesDeCurso(c).some((s) => s === lugar || s.parent === lugar.nombre);
+
+  // Lugares con cursos, del más cercano al más lejano: [{ lugar, km, cursos }]
+  const cercanas = (punto, courses, k = 3) => {
+    const porLugar = new Map();
+    for (const c of courses) {
+      for (const s of sedesDeCurso(c)) {
+        if (!porLugar.has(s)) porLugar.set(s, []);
+        porLugar.get(s).push(c);
+      }
+    }
+    return [...porLugar.entries()]
+      .map(([lugar, cursos]) => ({ lugar, km: distanciaKm(punto, lugar), cursos }))
+      .sort((x, y) => x.km - y.km)
+      .slice(0, k);
+  };
+
+  return { buscar, sedesDeCurso, cursoEn, cercanas };
+};
+
+module.exports = {
+  createGazetteer,
+  distanciaKm
+};
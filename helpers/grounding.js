@@ -0,0 +1,119 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/grounding.js – verificación de la nota del modelo
+ * La ficha de cada curso sale del catálogo (render.js), pero la nota es
+ * texto libre: ahí el modelo puede inventar una fecha, una sede, un
+ * estado o un link. Cada dato se compara con los cursos de la respuesta.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { normalize } = require("./text");
+
+const MESES = ["enero", "febrero", "marzo", "abril", "mayo", "junio", "julio", "agosto",
+  "septiembre", "octubre", "noviembre", "diciembre"];
+
+const sinTildes = (s) => (s || "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+
+/* Fechas ──────────────────────────────────────────────────────────── */
+
+// { dia, mes, anio? } de cada fecha escrita como 2025-03-15, 15/03/2025, “el 15/03” o “15 de marzo (de 2025)”.
+// Sin año, d/m sólo cuenta después de “el”, “del”, “hasta”, un día de la semana…: “1/2 jornada” es una fracción.
+const extraerFechas = (texto) => {
+  const t = sinTildes(texto);
+  const fechas = [];
+  for (const m of t.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) {
+    fechas.push({ valor: m[0], dia: +m[3], mes: +m[2], anio: +m[1] });
+  }
+  for (const m of t.matchAll(/(?<![\d-])(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})(?![\d/])/g)) {
+    fechas.push({ valor: m[0], dia: +m[1], mes: +m[2], anio: m[3].length === 2 ? 2000 + +m[3] : +m[3] });
+  }
+  for (const m of t.matchAll(/\b(?:el|del|al|hasta|desde|dia|lunes|martes|miercoles|jueves|viernes|sabado|domingo) (\d{1,2})\/(\d{1,2})(?![\d/])/g)) {
+    fechas.push({ valor: m[0].slice(m[0].indexOf(" ") + 1), dia: +m[1], mes: +m[2] });
+  }
+  const mesesRE = new RegExp(`\\b(\\d{1,2}) de (${MESES.join("|")})(?: (?:de|del) (\\d{4}))?`, "g");
+  for (const m of t.matchAll(mesesRE)) {
+    fechas.push({ valor: m[0], dia: +m[1], mes: MESES.indexOf(m[2]) + 1, anio: m[3] ? +m[3] : undefined });
+  }
+  return fechas.filter((f) => f.mes >= 1 && f.mes <= 12 && f.dia >= 1 && f.dia <= 31);
+};
+
+const CAMPOS_FECHA = ["fecha_inicio", "fecha_fin", "inscripcion_inicio", "inscripcion_fin"];
+
+const fechasDeCursos = (cursos) => cursos.flatMap((c) => CAMPOS_FECHA
+  .map((campo) => /^(\d{4})-(\d{2})-(\d{2})/.exec(c[campo] || ""))
+  .filter(Boolean)
+  .map((m) => ({ dia: +m[3], mes: +m[2], anio: +m[1] })));
+
+/* Links ───────────────────────────────────────────────────────────── */
+
+const URL_RE = /\bhttps?:\/\/[^\s)]+|\bwww\.[^\s)]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:gob\.ar|com\.ar|org\.ar|edu\.ar|com|org|net|ar|ly|gle|gl)(?![a-z0-9-])(?:\/[^\s)]*)?/gi;
+
+// Para comparar: sin protocolo, www ni puntuación final
+const normalizarUrl = (url) =>
+  url.toLowerCase().replace(/^https?:\/\//, "").replace(/^www\./, "").replace(/[.,;:!?*_]+$/, "").replace(/\/$/, "");
+
+/* Estados ─────────────────────────────────────────────────────────── */
+
+// Frases (sobre texto normalizado) que afirman el estado de un curso
+const ESTADO_RE = {
+  inscripcion_abierta: /\b(inscripcion(es)? (esta |estan )?abiertas?|abierta la inscripcion|abrio la inscripcion|ya podes inscribirte)\b/,
+  proximo: /\b(todavia no abr(io|e)|aun no abr(io|e)|proximamente|(todavia|aun) no (esta|estan) habilitad[ao]s?)\b/,
+  en_curso: /\b((esta|estan) en curso|ya (empezo|empezaron|comenzo|comenzaron)|en dictado)\b/,
+  finalizado: /\b(finalizo|finalizaron|ya termino|ya terminaron|(esta|estan) finalizad[ao]s?)\b/
+};
+
+/*
+ * nota:        el texto libre de la respuesta, tal como lo escribió el modelo (con sus links)
+ * referidos:   los cursos que acompañan la respuesta (su ficha sale del catálogo)
+ * catalogo:    todos los cursos (para reconocer las sedes)
+ * Devuelve [{ tipo: "fecha" | "url" | "localidad" | "estado", valor }]
+ */
+const verificar = (nota, referidos, catalogo) => {
+  if (!nota) return [];
+  const violaciones = [];
+
+  const permitidas = fechasDeCursos(referidos);
+  for (const f of extraerFechas(nota)) {
+    const ok = permitidas.some((p) => p.dia === f.dia && p.mes === f.mes && (!f.anio || p.anio === f.anio));
+    if (!ok) violaciones.push({ tipo: "fecha", valor: f.valor });
+  }
+
+  const links = referidos.map((c) => c.formulario).filter(Boolean).map(normalizarUrl);
+  for (const [url] of nota.matchAll(URL_RE)) {
+    if (!links.includes(normalizarUrl(url))) violaciones.push({ tipo: "url", valor: url });
+  }
+
+  // Sin cursos en la respuesta la nota habla en general (“¿buscás algo en Perico?”):
+  // no hay sede ni estado contra qué comparar
+  if (!referidos.length) return violaciones;
+
+  // Sólo las sedes del catálogo: “no hay cursos en Tilcara” no es un dato inventado
+  const n = ` ${normalize(nota)} `;
+  const sedes = new Set(referidos.flatMap((c) => (c.localidades || []).map(normalize)));
+  const mencionadas = [...new Set(catalogo.flatMap((c) => c.localidades || []))]
+    .filter((l) => n.includes(` ${normalize(l)} `));
+  for (const l of mencionadas) {
+    if (!sedes.has(normalize(l))) violaciones.push({ tipo: "localidad", valor: l });
+  }
+
+  for (const [estado, re] of Object.entries(ESTADO_RE)) {
+    if (re.test(n) && !referidos.some((c) => c.estado === estado)) {
+      violaciones.push({ tipo: "estado", valor: estado });
+    }
+  }
+  return violaciones;
+};
+
+// Mensaje para que el modelo corrija la respuesta
+const pistaCorreccion = (violaciones) => [
+  "Tu respuesta anterior tiene datos que no coinciden con el catálogo:",
+  ...violaciones.map((v) => `- ${v.tipo}: ${v.valor}`),
+  "Respondé de nuevo con el mismo formato. En la nota no repitas fechas, sedes, estados ni links:",
+  "la ficha de los cursos de course_ids se agrega sola con los datos del catálogo."
+].join("\n");
+
+module.exports = {
+  extraerFechas,
+  verificar,
+  pistaCorreccion
+};
@@ -0,0 +1,75 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/groups.js – mensajes en grupos de WhatsApp
+ * En un grupo Camila sólo contesta si la nombran (@mención), si citan
+ * un mensaje suyo o si el texto empieza con un prefijo (“Camila, …”).
+ * Lista de grupos permitidos / bloqueados y una sesión por participante.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const esGrupo = (chatId) => (chatId || "").endsWith("@g.us");
+
+// "123@g.us, 456@g.us" → Set de ids
+const parseIds = (valor) => new Set((valor || "").split(",").map((s) => s.trim()).filter(Boolean));
+
+// Cada participante de un grupo tiene su propia conversación. La misma clave identifica
+// al chat en la derivación, el límite de mensajes, los avisos y el panel de operadores.
+const claveSesion = (msg) => (esGrupo(msg.from) && msg.author ? `${msg.from}/${msg.author}` : msg.from);
+
+// "grupo@g.us/persona@c.us" → { chatId: "grupo@g.us", participant: "persona@c.us" } (adonde se escribe)
+const separarClave = (clave) => {
+  const [chatId, participant] = (clave || "").split("/");
+  return { chatId, participant };
+};
+
+const escapeRE = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/*
+ * permitidos: ids de grupo en los que contesta (vacío = todos)
+ * bloqueados: ids de grupo en los que nunca contesta (ganan sobre permitidos)
+ * prefijos:   palabras con las que se le habla (["camila"])
+ */
+const createGroupPolicy = ({ permitidos = new Set(), bloqueados = new Set(), prefijos = [] }) => {
+  const prefijoRE = prefijos.length
+    ? new RegExp(`^\\s*(?:${prefijos.map(escapeRE).join("|")})(?![\\p{L}\\p{N}])[\\s,:;.!¡¿?-]*`, "iu")
+    : null;
+
+  const permitido = (groupId) =>
+    !bloqueados.has(groupId) && (!permitidos.size || permitidos.has(groupId));
+
+  /*
+   * Si el mensaje va dirigido a Camila devuelve el texto sin la mención
+   * ni el prefijo; si no, null (se ignora sin gastar tokens).
+   */
+  const dirigido = async (msg, texto) => {
+    if (prefijoRE && prefijoRE.test(texto)) return texto.replace(prefijoRE, "").trim();
+
+    if (msg.mentionedIds && msg.mentionedIds.length) {
+      // getMentions resuelve los contactos en el orden de mentionedIds
+      const contactos = await msg.getMentions().catch(() => []);
+      const propias = contactos.filter((c) => c && c.isMe).map((c) => c.id.user);
+      if (propias.length) {
+        return propias
+          .reduce((t, user) => t.replace(new RegExp(`@${escapeRE(user)}\\b`, "g"), ""), texto)
+          .replace(/\s{2,}/g, " ")
+          .trim();
+      }
+    }
+
+    if (msg.hasQuotedMsg) {
+      const citado = await msg.getQuotedMessage().catch(() => null);
+      if (citado && citado.fromMe) return texto;
+    }
+    return null;
+  };
+
+  return { permitido, dirigido };
+};
+
+module.exports = {
+  esGrupo,
+  parseIds,
+  claveSesion,
+  separarClave,
+  createGroupPolicy
+};
@@ -0,0 +1,47 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/handoff.js – chats derivados a una persona (Camila en silencio)
+ * chatId → { since, reason, lastActivity } persistido en JSON.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { readJson, writeJsonAtomic, createMutex } = require("./store");
+
+const createHandoffStore = (file) => {
+  let chats = readJson(file, {});
+  const lock = createMutex();
+
+  const save = (next) => writeJsonAtomic(file, next).then(() => { chats = next; });
+
+  // Devuelve false si el chat ya estaba derivado
+  const start = (chatId, reason) => lock(async () => {
+    if (chats[chatId]) return false;
+    const now = Date.now();
+    await save({ ...chats, [chatId]: { since: now, reason, lastActivity: now } });
+    return true;
+  });
+
+  const release = (chatId) => lock(async () => {
+    if (!chats[chatId]) return false;
+    const next = { ...chats };
+    delete next[chatId];
+    await save(next);
+    return true;
+  });
+
+  // Actividad del usuario o del operador: corre el vencimiento
+  const touch = (chatId) => lock(async () => {
+    if (!chats[chatId]) return;
+    await save({ ...chats, [chatId]: { ...chats[chatId], lastActivity: Date.now() } });
+  });
+
+  const get = (chatId) => chats[chatId] || null;
+  const list = () => Object.entries(chats).map(([chatId, h]) => ({ chatId, ...h }));
+  const idleSince = (ms) => list().filter((h) => Date.now() - h.lastActivity > ms).map((h) => h.chatId);
+
+  return { start, release, touch, get, list, idleSince };
+};
+
+module.exports = {
+  createHandoffStore
+};
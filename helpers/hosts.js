@@ -0,0 +1,76 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/hosts.js – URLs que el servidor llama por pedido de un cliente
+ * Un callbackUrl o el file de /send-media no pueden apuntar a la red
+ * interna (loopback, redes privadas, link-local, metadata de la nube):
+ * se resuelve el host y se rechaza si alguna dirección no es pública.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const dns = require("dns");
+const net = require("net");
+
+const NO_PUBLICAS = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+].forEach(([red, bits]) => NO_PUBLICAS.addSubnet(red, bits, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["64:ff9b:1::", 48], ["2001::", 32], ["2001:db8::", 32],
+  ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+].forEach(([red, bits]) => NO_PUBLICAS.addSubnet(red, bits, "ipv6"));
+
+// IPv6 en 8 grupos de 16 bits ("64:ff9b::7f00:1" → [0x64, 0xff9b, 0, 0, 0, 0, 0x7f00, 1])
+const grupos = (ip) => {
+  const v4 = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(ip);
+  const texto = v4
+    ? ip.slice(0, v4.index) + ((v4[1] << 8) | v4[2]).toString(16) + ":" + ((v4[3] << 8) | v4[4]).toString(16)
+    : ip;
+  const [cabeza, cola] = texto.split("::");
+  const partes = (t) => (t ? t.split(":").map((g) => parseInt(g, 16)) : []);
+  const izq = partes(cabeza);
+  const der = cola === undefined ? [] : partes(cola);
+  return [...izq, ...Array(8 - izq.length - der.length).fill(0), ...der];
+};
+
+// IPv4 que lleva adentro una IPv6 de transición (mapeada ::ffff:0:0/96, compatible ::/96,
+// NAT64 64:ff9b::/96, 6to4 2002::/16), o null
+const ipv4Embebida = (ip) => {
+  const g = grupos(ip);
+  const aV4 = (alto, bajo) => [alto >> 8, alto & 255, bajo >> 8, bajo & 255].join(".");
+  const ceros = (desde, hasta) => g.slice(desde, hasta).every((x) => x === 0);
+  if (ceros(0, 5) && (g[5] === 0xffff || g[5] === 0)) return aV4(g[6], g[7]);
+  if (g[0] === 0x64 && g[1] === 0xff9b && ceros(2, 6)) return aV4(g[6], g[7]);
+  if (g[0] === 0x2002) return aV4(g[1], g[2]);
+  return null;
+};
+
+// Una IPv6 que lleva una IPv4 adentro ("::ffff:127.0.0.1", "64:ff9b::7f00:1") se evalúa como esa IPv4
+const esPublica = (ip) => {
+  const tipo = net.isIP(ip);
+  if (!tipo) return false;
+  if (tipo === 6) {
+    const v4 = ipv4Embebida(ip);
+    if (v4) return esPublica(v4);
+  }
+  return !NO_PUBLICAS.check(ip, tipo === 4 ? "ipv4" : "ipv6");
+};
+
+// Resuelve si la URL (http/https) apunta a un host público; si no, rechaza con el motivo
+const verificarUrlPublica = async (url) => {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "http:" && protocol !== "https:") throw new Error("Sólo se permiten URLs http o https");
+  const host = hostname.replace(/^\[|\]$/g, "");
+  const direcciones = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true })).map((d) => d.address);
+  if (!direcciones.length || !direcciones.every(esPublica)) {
+    throw new Error("La URL apunta a una dirección privada o local");
+  }
+  return true;
+};
+
+module.exports = {
+  esPublica,
+  verificarUrlPublica
+};
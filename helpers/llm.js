@@ -0,0 +1,103 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/llm.js – proveedores de modelo intercambiables
+ * Interfaz: { name, model, complete({ messages, responseFormat }) }
+ *   → { content, usage, model }
+ * "openai" sirve para cualquier API compatible (LLM_BASE_URL); "mock"
+ * responde guiones fijos para desarrollo y CI, sin red ni key.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const fs = require("fs");
+const OpenAI = require("openai");
+
+const createOpenAIProvider = ({ apiKey, baseURL, model, temperature, timeoutMs, retries }) => {
+  const client = new OpenAI({ apiKey, baseURL: baseURL || undefined, timeout: timeoutMs, maxRetries: retries });
+
+  return {
+    name: "openai",
+    model,
+    complete: async ({ messages, responseFormat }) => {
+      const completion = await client.chat.completions.create({
+        model,
+        temperature,
+        response_format: responseFormat,
+        messages
+      });
+      return {
+        content: completion.choices?.[0]?.message?.content || "",
+        usage: completion.usage || null,
+        model: completion.model || model
+      };
+    }
+  };
+};
+
+/*
+ * Guion del mock (JSON): { "rules": [{ "match": "regex", "reply": ... }], "replies": [...], "default": ... }
+ * Se prueba cada regla contra el último mensaje del usuario; si ninguna aplica
+ * se usan "replies" en ronda y por último "default". Un reply objeto se envía como JSON.
+ */
+const DEFAULT_SCRIPT = {
+  default: { intent: "otro", course_ids: [], note: "Respuesta de prueba (proveedor mock)." }
+};
+
+const createMockProvider = ({ script = DEFAULT_SCRIPT, model = "mock" } = {}) => {
+  const rules = (script.rules || []).map((r) => ({ re: new RegExp(r.match, "i"), reply: r.reply }));
+  const replies = script.replies || [];
+  let turn = 0;
+
+  const asText = (reply) => (typeof reply === "string" ? reply : JSON.stringify(reply));
+
+  return {
+    name: "mock",
+    model,
+    complete: async ({ messages }) => {
+      const last = [...messages].reverse().find((m) => m.role === "user");
+      const text = last ? last.content : "";
+      const rule = rules.find((r) => r.re.test(text));
+      const reply = rule ? rule.reply
+        : replies.length ? replies[turn++ % replies.length]
+        : script.default || DEFAULT_SCRIPT.default;
+      if (reply && reply.error) throw new Error(reply.error); // para simular caídas
+      const content = asText(reply);
+      return {
+        content,
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+        model
+      };
+    }
+  };
+};
+
+// Lee la configuración del entorno; null si no hay proveedor utilizable
+const createProviderFromEnv = (env = process.env) => {
+  const provider = (env.LLM_PROVIDER || "openai").toLowerCase();
+  const model = env.LLM_MODEL || "gpt-4o-mini";
+
+  if (provider === "mock") {
+    const script = env.LLM_MOCK_FILE ? JSON.parse(fs.readFileSync(env.LLM_MOCK_FILE, "utf-8")) : undefined;
+    return createMockProvider({ script, model: env.LLM_MODEL || "mock" });
+  }
+
+  if (provider !== "openai") throw new Error(`LLM_PROVIDER desconocido: ${provider}`);
+
+  const rawKey = env.LLM_API_KEY || env.OPENAI_API_KEY || "";
+  const apiKey = rawKey.split(/\r?\n/)[0].trim(); // evita que se “pegue” PORT=... u otras líneas
+  if (!apiKey) return null;
+
+  return createOpenAIProvider({
+    apiKey,
+    baseURL: env.LLM_BASE_URL,
+    model,
+    temperature: env.LLM_TEMPERATURE !== undefined ? Number(env.LLM_TEMPERATURE) : 0.2,
+    timeoutMs: Number(env.LLM_TIMEOUT_MS) || 20000,
+    retries: env.LLM_RETRIES !== undefined ? Number(env.LLM_RETRIES) : 1
+  });
+};
+
+module.exports = {
+  createOpenAIProvider,
+  createMockProvider,
+  createProviderFromEnv
+};
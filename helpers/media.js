@@ -0,0 +1,68 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/media.js – flyers de los cursos (campo `imagen`)
+ * Se buscan en una carpeta local o bajo una URL base y quedan en caché
+ * como MessageMedia; si la imagen no aparece se recuerda un rato.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const fs    = require("fs");
+const path  = require("path");
+const axios = require("axios");
+const mime  = require("mime-types");
+
+const MISS_TTL_MS = 10 * 60 * 1000;
+
+const createImageLoader = ({ dir, baseUrl, MessageMedia, timeoutMs = 10000 }) => {
+  const cache = new Map();   // imagen → MessageMedia
+  const misses = new Map();  // imagen → timestamp del último intento fallido
+
+  const fromDir = async (imagen) => {
+    const root = path.resolve(dir);
+    const file = path.resolve(root, imagen);
+    if (!file.startsWith(root + path.sep)) throw new Error("Ruta fuera de la carpeta de imágenes");
+    const data = await fs.promises.readFile(file);
+    return new MessageMedia(mime.lookup(file) || "application/octet-stream", data.toString("base64"), path.basename(file));
+  };
+
+  const fromUrl = async (imagen) => {
+    const url = new URL(imagen, baseUrl.endsWith("/") ? baseUrl : baseUrl + "/").toString();
+    const response = await axios.get(url, { responseType: "arraybuffer", timeout: timeoutMs });
+    const mimetype = response.headers["content-type"] || mime.lookup(imagen) || "application/octet-stream";
+    return new MessageMedia(mimetype, Buffer.from(response.data).toString("base64"), path.basename(imagen));
+  };
+
+  // MessageMedia o null (sin imagen, sin origen configurado o no encontrada)
+  const load = async (imagen) => {
+    if (!imagen || (!dir && !baseUrl)) return null;
+    if (cache.has(imagen)) return cache.get(imagen);
+    if (Date.now() - (misses.get(imagen) || 0) < MISS_TTL_MS) return null;
+
+    try {
+      const media = dir ? await fromDir(imagen) : await fromUrl(imagen);
+      cache.set(imagen, media);
+      misses.delete(imagen);
+      return media;
+    } catch (err) {
+      // con carpeta y URL configuradas, la URL es el respaldo
+      if (dir && baseUrl) {
+        try {
+          const media = await fromUrl(imagen);
+          cache.set(imagen, media);
+          return media;
+        } catch (_e) { /* se registra abajo */ }
+      }
+      console.warn(`⚠️  Flyer no disponible (${imagen}):`, err.message);
+      misses.set(imagen, Date.now());
+      return null;
+    }
+  };
+
+  const clear = () => { cache.clear(); misses.clear(); };
+
+  return { load, clear };
+};
+
+module.exports = {
+  createImageLoader
+};
@@ -0,0 +1,70 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/metrics.js – métricas para Prometheus (GET /metrics)
+ * Contadores, histogramas y gauges en memoria con el formato de texto
+ * de exposición 0.0.4. Los contadores arrancan en cero con cada proceso.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const escapar = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+// { kind: "ai" } → '{kind="ai"}'
+const etiquetas = (labels) => {
+  const pares = Object.entries(labels || {}).filter(([, v]) => v !== undefined && v !== null);
+  return pares.length ? `{${pares.map(([k, v]) => `${k}="${escapar(v)}"`).join(",")}}` : "";
+};
+
+const createMetrics = () => {
+  const metricas = [];
+
+  const counter = (name, help) => {
+    const valores = new Map(); // etiquetas → { labels, valor }
+    const inc = (labels = {}, n = 1) => {
+      const clave = etiquetas(labels);
+      const actual = valores.get(clave) || { labels, valor: 0 };
+      actual.valor += n;
+      valores.set(clave, actual);
+    };
+    const render = () => [...valores.values()].map((v) => `${name}${etiquetas(v.labels)} ${v.valor}`);
+    metricas.push({ name, help, type: "counter", render });
+    return { inc };
+  };
+
+  // buckets en la unidad de la métrica (segundos)
+  const histogram = (name, help, buckets) => {
+    const conteos = buckets.map(() => 0);
+    let suma = 0;
+    let total = 0;
+    const observe = (valor) => {
+      buckets.forEach((b, i) => { if (valor <= b) conteos[i]++; });
+      suma += valor;
+      total++;
+    };
+    const render = () => [
+      ...buckets.map((b, i) => `${name}_bucket{le="${b}"} ${conteos[i]}`),
+      `${name}_bucket{le="+Inf"} ${total}`,
+      `${name}_sum ${+suma.toFixed(6)}`,
+      `${name}_count ${total}`
+    ];
+    metricas.push({ name, help, type: "histogram", render });
+    return { observe };
+  };
+
+  // leer() → número o [{ labels, valor }]; se evalúa en cada scrape
+  const gauge = (name, help, leer) => {
+    const render = () => {
+      const v = leer();
+      return (Array.isArray(v) ? v : [{ valor: v }]).map((x) => `${name}${etiquetas(x.labels)} ${Number(x.valor) || 0}`);
+    };
+    metricas.push({ name, help, type: "gauge", render });
+  };
+
+  const render = () =>
+    metricas.map((m) => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.render()].join("\n")).join("\n") + "\n";
+
+  return { counter, histogram, gauge, render };
+};
+
+module.exports = {
+  createMetrics
+};
@@ -0,0 +1,104 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/monitor.js – estado en vivo para el panel (monitor.html)
+ * En memoria, desde el último arranque: conexión con WhatsApp, últimos
+ * turnos, chats activos, errores y latencias del modelo.
+ *──────────────────────────────────────────────────────────────────────*/
+
+// { prom, p95 } de una lista de milisegundos
+const resumenMs = (lista) => {
+  if (!lista.length) return { prom: null, p95: null };
+  const orden = [...lista].sort((a, b) => a - b);
+  return {
+    prom: Math.round(orden.reduce((a, b) => a + b, 0) / orden.length),
+    p95: orden[Math.min(orden.length - 1, Math.floor(orden.length * 0.95))]
+  };
+};
+
+/*
+ * feedMax:        turnos que guarda el feed
+ * chatsVentanaMs: un chat es “actual” si tuvo un turno en esta ventana
+ * muestras:       latencias para promedio y p95
+ */
+const createMonitor = ({ feedMax = 50, chatsVentanaMs = 30 * 60 * 1000, muestras = 100 } = {}) => {
+  const desde = new Date().toISOString();
+  let conexion = { estado: "iniciando", ts: desde };
+  const feed = [];
+  const chats = new Map();   // chatId → { chatId, turnos, ultimoTs, ultimoKind, ultimoMensaje }
+  const porKind = {};
+  const ultimosErrores = [];
+  const latModelo = [];
+  const latTotal = [];
+
+  const muestra = (lista, ms) => {
+    if (typeof ms !== "number") return;
+    lista.push(ms);
+    if (lista.length > muestras) lista.shift();
+  };
+
+  // estado: qr | authenticated | ready | disconnected | auth_failure
+  const setConexion = (estado, detalle) => {
+    conexion = { estado, detalle, ts: new Date().toISOString() };
+    return conexion;
+  };
+
+  // t: el registro del turno (como en transcripts); devuelve la entrada del feed
+  const turno = (t) => {
+    const entrada = {
+      ts: new Date().toISOString(),
+      chatId: t.chatId,
+      participant: t.participant,
+      message: t.message,
+      reply: t.reply,
+      kind: t.kind,
+      intent: t.intent,
+      latencyMs: t.latencyMs,
+      modelMs: t.modelMs,
+      error: t.error
+    };
+    feed.push(entrada);
+    if (feed.length > feedMax) feed.shift();
+
+    porKind[t.kind] = (porKind[t.kind] || 0) + 1;
+    if (t.error) {
+      ultimosErrores.push({ ts: entrada.ts, chatId: t.chatId, kind: t.kind, error: t.error });
+      if (ultimosErrores.length > 10) ultimosErrores.shift();
+    }
+    muestra(latModelo, t.modelMs);
+    muestra(latTotal, t.latencyMs);
+
+    const chat = chats.get(t.chatId) || { chatId: t.chatId, turnos: 0 };
+    chats.set(t.chatId, {
+      ...chat, turnos: chat.turnos + 1, ultimoTs: entrada.ts, ultimoKind: t.kind, ultimoMensaje: t.message
+    });
+    return entrada;
+  };
+
+  const chatsActuales = () => {
+    const limite = Date.now() - chatsVentanaMs;
+    for (const [id, c] of chats) {
+      if (Date.parse(c.ultimoTs) < limite) chats.delete(id);
+    }
+    return [...chats.values()].sort((a, b) => b.ultimoTs.localeCompare(a.ultimoTs));
+  };
+
+  const metricas = () => ({
+    desde,
+    turnos: Object.values(porKind).reduce((a, b) => a + b, 0),
+    porKind: { ...porKind },
+    errores: porKind.error || 0,
+    fallbacks: porKind.fallback || 0,
+    ultimosErrores: [...ultimosErrores].reverse(),
+    latencia: { modeloMs: resumenMs(latModelo), totalMs: resumenMs(latTotal) },
+    chatsActivos: chatsActuales().length
+  });
+
+  const snapshot = () => ({ conexion, feed: [...feed].reverse(), chats: chatsActuales(), metricas: metricas() });
+
+  return { conexion: setConexion, turno, metricas, chatsActuales, snapshot };
+};
+
+module.exports = {
+  createMonitor
+};
@@ -0,0 +1,156 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/outbox.js – cola de salida de los endpoints REST
+ * Acepta mensajes aunque WhatsApp esté reconectando, reintenta con
+ * backoff exponencial y sigue cada mensaje por sus acks:
+ *   en_cola → enviando → enviado → entregado → leido   (o error)
+ * Persistida en JSON; un corte durante "enviando" se reintenta
+ * (entrega al menos una vez).
+ *──────────────────────────────────────────────────────────────────────*/
+
+const crypto = require("crypto");
+const { readJson, writeJsonAtomic, createMutex } = require("./store");
+
+// message_ack de whatsapp-web.js: -1 error, 0 pendiente, 1 servidor, 2 dispositivo, 3 leído, 4 reproducido
+const ACK_ESTADO = { "-1": "error", 1: "enviado", 2: "entregado", 3: "leido", 4: "leido" };
+const ORDEN = ["en_cola", "enviando", "enviado", "entregado", "leido"];
+const NOTIFICABLES = ["enviado", "entregado", "leido", "error"];
+const BACKOFF_MAX_MS = 10 * 60 * 1000;
+
+// Error que no tiene sentido reintentar (número sin WhatsApp, grupo inexistente…)
+const errorPermanente = (message) => Object.assign(new Error(message), { permanente: true });
+
+/*
+ * enviar(mensaje) → id serializado del mensaje de WhatsApp (rechaza si falla)
+ * listo()         → si el cliente está conectado
+ * notificar(m)    → cambio a enviado/entregado/leido/error (callbacks)
+ */
+const createOutbox = ({ file, enviar, listo, notificar, maxIntentos = 5, backoffMs = 5000, retencionMs }) => {
+  let mensajes = readJson(file, {});
+  for (const m of Object.values(mensajes)) {
+    if (m.estado === "enviando") m.estado = "en_cola";
+  }
+  const lock = createMutex();
+  const acksHuerfanos = new Map(); // waId → ack llegado antes de guardar el waId
+  let timer = null;
+  let procesando = false;
+
+  const save = (next) => writeJsonAtomic(file, next).then(() => { mensajes = next; });
+
+  const actualizar = (id, cambios) => lock(async () => {
+    const m = mensajes[id];
+    if (!m) return null;
+    const ts = new Date().toISOString();
+    const cambiaEstado = cambios.estado && cambios.estado !== m.estado;
+    const next = {
+      ...m,
+      ...cambios,
+      updatedAt: ts,
+      historial: cambiaEstado ? [...m.historial, { estado: cambios.estado, ts }] : m.historial
+    };
+    await save({ ...mensajes, [id]: next });
+    if (cambiaEstado && NOTIFICABLES.includes(next.estado)) notificar(next);
+    return next;
+  });
+
+  // Programa la próxima vuelta para el reintento más cercano
+  const programar = () => {
+    clearTimeout(timer);
+    if (!listo()) return;
+    const proximos = Object.values(mensajes).filter((m) => m.estado === "en_cola").map((m) => m.proximoIntento);
+    if (!proximos.length) return;
+    timer = setTimeout(() => {
+      procesar().catch((err) => console.error("❌ Error en la cola de salida:", err));
+    }, Math.max(0, Math.min(...proximos) - Date.now()));
+  };
+
+  const procesar = async () => {
+    if (procesando) return;
+    procesando = true;
+    try {
+      while (listo()) {
+        const ahora = Date.now();
+        const m = Object.values(mensajes)
+          .filter((x) => x.estado === "en_cola" && x.proximoIntento <= ahora)
+          .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+        if (!m) break;
+
+        const intentos = m.intentos + 1;
+        await actualizar(m.id, { estado: "enviando", intentos });
+        try {
+          const waId = await enviar(m);
+          await actualizar(m.id, { estado: "enviado", waId, error: null });
+          if (acksHuerfanos.has(waId)) {
+            await ack(waId, acksHuerfanos.get(waId));
+            acksHuerfanos.delete(waId);
+          }
+        } catch (err) {
+          if (err.permanente || intentos >= maxIntentos) {
+            await actualizar(m.id, { estado: "error", error: err.message });
+          } else {
+            const espera = Math.min(backoffMs * 2 ** (intentos - 1), BACKOFF_MAX_MS);
+            await actualizar(m.id, { estado: "en_cola", error: err.message, proximoIntento: Date.now() + espera });
+          }
+        }
+      }
+    } finally {
+      procesando = false;
+      programar();
+    }
+  };
+
+  // datos: { tipo, chatId?, grupo?, message?, file?, caption?, callbackUrl?, keyId? }
+  const encolar = async (datos) => {
+    const ts = new Date().toISOString();
+    const m = {
+      id: crypto.randomUUID(),
+      ...datos,
+      estado: "en_cola",
+      intentos: 0,
+      proximoIntento: Date.now(),
+      waId: null,
+      error: null,
+      createdAt: ts,
+      updatedAt: ts,
+      historial: [{ estado: "en_cola", ts }]
+    };
+    await lock(() => save({ ...mensajes, [m.id]: m }));
+    procesar().catch((err) => console.error("❌ Error en la cola de salida:", err));
+    return m;
+  };
+
+  // Acks sólo hacia adelante (un "entregado" tardío no pisa un "leido")
+  const ack = async (waId, valor) => {
+    const estado = ACK_ESTADO[valor];
+    if (!estado) return;
+    const m = Object.values(mensajes).find((x) => x.waId === waId);
+    if (!m) {
+      // Puede ser de un envío en curso o de cualquier otro mensaje (respuestas de Camila):
+      // se guardan sólo los últimos
+      acksHuerfanos.set(waId, Math.max(valor, acksHuerfanos.get(waId) || 0));
+      if (acksHuerfanos.size > 200) acksHuerfanos.delete(acksHuerfanos.keys().next().value);
+      return;
+    }
+    if (m.estado === "error" || (estado !== "error" && ORDEN.indexOf(estado) <= ORDEN.indexOf(m.estado))) return;
+    await actualizar(m.id, estado === "error" ? { estado, error: "WhatsApp rechazó el mensaje" } : { estado });
+  };
+
+  // Borra los mensajes terminados más viejos que la retención
+  const purge = () => lock(async () => {
+    const limite = Date.now() - retencionMs;
+    const next = Object.fromEntries(Object.entries(mensajes)
+      .filter(([, m]) => ["en_cola", "enviando"].includes(m.estado) || Date.parse(m.updatedAt) >= limite));
+    if (Object.keys(next).length !== Object.keys(mensajes).length) await save(next);
+  });
+
+  const get = (id) => mensajes[id] || null;
+  const pendientes = () => Object.values(mensajes).filter((m) => m.estado === "en_cola").length;
+
+  return { encolar, procesar, ack, purge, get, pendientes };
+};
+
+module.exports = {
+  errorPermanente,
+  createOutbox
+};
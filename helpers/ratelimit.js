@@ -0,0 +1,44 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/ratelimit.js – límite de pedidos por ventana deslizante
+ * En memoria: clave (chat, API key, "global") → marcas de tiempo.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const createRateLimiter = ({ max, windowMs }) => {
+  const hits = new Map();
+
+  const recientes = (key, now) => (hits.get(key) || []).filter((t) => now - t < windowMs);
+
+  // true si el pedido entra en el cupo (y lo cuenta); false si hay que frenarlo.
+  // limit: cupo propio de la clave (p. ej. el de cada API key)
+  const take = (key = "global", limit = max) => {
+    const now = Date.now();
+    const list = recientes(key, now);
+    const ok = list.length < limit;
+    if (ok) list.push(now);
+    hits.set(key, list);
+    return ok;
+  };
+
+  // Milisegundos hasta que se libere un lugar (0 si ya hay cupo)
+  const retryAfterMs = (key = "global", limit = max) => {
+    const now = Date.now();
+    const list = recientes(key, now);
+    return list.length < limit ? 0 : windowMs - (now - list[list.length - limit]);
+  };
+
+  // Olvida las claves sin pedidos en la ventana
+  const prune = () => {
+    const now = Date.now();
+    for (const key of hits.keys()) {
+      if (!recientes(key, now).length) hits.delete(key);
+    }
+  };
+
+  return { take, retryAfterMs, prune };
+};
+
+module.exports = {
+  createRateLimiter
+};
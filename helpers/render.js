@@ -0,0 +1,121 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/render.js – respuestas de Camila armadas en el servidor
+ * El modelo sólo elige intención, cursos y una nota; títulos, fechas,
+ * sedes y links salen siempre del JSON de cursos (plantillas por estado).
+ *──────────────────────────────────────────────────────────────────────*/
+
+const ESTADO_LABEL = {
+  inscripcion_abierta: "Inscripción abierta",
+  proximo: "Próximo",
+  inscripcion_cerrada: "Inscripción cerrada",
+  en_curso: "En curso",
+  finalizado: "Finalizado"
+};
+
+const SIN_FECHA = "sin fecha confirmada";
+const SIN_SEDE  = "Este curso todavía no tiene sede confirmada";
+
+// YYYY-MM-DD → DD/MM/YYYY (formato argentino)
+const fechaCorta = (iso) => {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(iso || "");
+  return m ? `${m[3]}/${m[2]}/${m[1]}` : "";
+};
+
+const sede = (c) => (c.localidades && c.localidades.length ? c.localidades.join(", ") : SIN_SEDE);
+
+// Markdown/HTML del modelo → formato de WhatsApp
+const paraWhatsApp = (text) =>
+  (text || "")
+    .replace(/\*\*(\d{1,2}\s+de\s+\p{L}+)\*\*/giu, "$1")
+    .replace(/\*\*(.+?)\*\*/g, "*$1*") // **texto** → *texto*
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)]+)\)/g, "$1")
+    .replace(/<a\s+href="([^"]+)"[^>]*>([^<]+)<\/a>/gi, "$2")
+    .replace(/<\/?[^>]+>/g, "")
+    .trim();
+
+// La nota es texto libre: sin links (los únicos links válidos salen del JSON)
+const limpiarNota = (note) =>
+  paraWhatsApp(note)
+    .replace(/https?:\/\/\S+/g, "")
+    .replace(/[ \t]{2,}/g, " ")
+    .replace(/[ \t]+\n/g, "\n")
+    .trim();
+
+// Plantillas por estado (las mismas que describía el prompt)
+const PLANTILLAS = {
+  inscripcion_abierta: (c) => [
+    `Título: *${c.titulo}*`,
+    `Estado: ${ESTADO_LABEL.inscripcion_abierta}`,
+    `Localidad/Sede: ${sede(c)}`,
+    `Inicio: ${fechaCorta(c.fecha_inicio) || SIN_FECHA} · Fin: ${fechaCorta(c.fecha_fin) || SIN_FECHA}`,
+    c.inscripcion_fin ? `Inscripción hasta: ${fechaCorta(c.inscripcion_fin)}` : "",
+    c.descripcion_breve ? `Descripción: ${c.descripcion_breve}` : "",
+    c.formulario ? `Inscripción: ${c.formulario}` : "Inscripción: el formulario todavía no está publicado.",
+    "Nota: Podrás comenzar a cursar a partir de la fecha de inicio indicada."
+  ],
+  proximo: (c) => [
+    `Título: *${c.titulo}*`,
+    `Estado: ${ESTADO_LABEL.proximo}`,
+    `Localidad/Sede: ${sede(c)}`,
+    c.inscripcion_inicio ? `Inscripción desde: ${fechaCorta(c.inscripcion_inicio)}` : `Fechas: ${SIN_FECHA}`,
+    c.descripcion_breve ? `Descripción: ${c.descripcion_breve}` : "",
+    "Inscripción: aún no habilitada (deberás esperar a que pase a Inscripción abierta). Si querés que te avise cuando abra, respondé “avisame”."
+  ],
+  inscripcion_cerrada: (c) => [
+    `Título: *${c.titulo}*`,
+    `Estado: ${ESTADO_LABEL.inscripcion_cerrada}`,
+    `Localidad/Sede: ${sede(c)}`,
+    `Inicio: ${fechaCorta(c.fecha_inicio) || SIN_FECHA} · Fin: ${fechaCorta(c.fecha_fin) || SIN_FECHA}`,
+    c.descripcion_breve ? `Descripción: ${c.descripcion_breve}` : "",
+    "Inscripción: cerrada (ya no se reciben inscripciones; el curso todavía no empezó)."
+  ],
+  en_curso: (c) => [
+    `Título: *${c.titulo}*`,
+    `Estado: ${ESTADO_LABEL.en_curso}`,
+    `Localidad/Sede: ${sede(c)}`,
+    `Inicio: ${fechaCorta(c.fecha_inicio) || SIN_FECHA} · Fin: ${fechaCorta(c.fecha_fin) || SIN_FECHA}`,
+    c.descripcion_breve ? `Descripción: ${c.descripcion_breve}` : "",
+    "Inscripción: cerrada (el curso ya está en dictado)."
+  ],
+  finalizado: (c) => [
+    `Título: *${c.titulo}*`,
+    `Estado: ${ESTADO_LABEL.finalizado}`,
+    `Localidad/Sede: ${sede(c)}`,
+    `Duración: ${fechaCorta(c.fecha_inicio) || "—"} a ${fechaCorta(c.fecha_fin) || "—"}`,
+    c.descripcion_breve ? `Descripción: ${c.descripcion_breve}` : "",
+    "Inscripción: no disponible (el curso finalizó)."
+  ]
+};
+
+const renderCurso = (c) => (PLANTILLAS[c.estado] || PLANTILLAS.proximo)(c).filter(Boolean).join("\n");
+
+const renderLinea = (c) =>
+  `• *${c.titulo}* – ${ESTADO_LABEL[c.estado] || c.estado}` +
+  (c.localidades && c.localidades.length ? ` (${c.localidades.join(", ")})` : "");
+
+// Un curso → plantilla completa; varios → listado corto para que elija
+const renderRespuesta = ({ note, courses }) => {
+  const partes = [];
+  const nota = limpiarNota(note);
+  if (nota) partes.push(nota);
+
+  if (courses.length === 1) {
+    partes.push(renderCurso(courses[0]));
+  } else if (courses.length > 1) {
+    partes.push(courses.map(renderLinea).join("\n"));
+    partes.push("Decime cuál te interesa y te paso el detalle.");
+  }
+
+  return partes.join("\n\n") ||
+    "¿Sobre qué curso querés saber? Podés decirme el oficio o la localidad (por ejemplo “panadería” o “cursos en Perico”).";
+};
+
+module.exports = {
+  ESTADO_LABEL,
+  fechaCorta,
+  paraWhatsApp,
+  renderCurso,
+  renderRespuesta
+};
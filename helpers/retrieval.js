@@ -0,0 +1,171 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/retrieval.js – búsqueda de cursos sobre todos sus campos
+ * Índice invertido por raíz de palabra, ponderado por campo (tipo BM25
+ * simplificado), sin tildes y con sinónimos de oficios/lugares. El estado
+ * no se indexa como texto: “abiertos”, “próximos”… filtran por estado.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { tokenize } = require("./text");
+
+// Palabras que no aportan a la búsqueda
+const STOPWORDS = new Set([
+  "a","al","algo","alguno","alguna","algun","ante","como","con","cual","cuales","cuando","de","del",
+  "donde","el","ella","en","entre","era","es","esa","ese","eso","esta","este","esto","hay","la","las",
+  "le","les","lo","los","mas","me","mi","mis","muy","no","o","para","pero","por","que","quiero","se",
+  "si","sin","sobre","su","sus","te","tengo","tiene","tienen","tu","un","una","uno","unos","unas","y","ya",
+  "yo","ser","hola","buenas","buen","dia","dias","tarde","noche","gracias","curso","cursos","taller","favor",
+  "saber","info","informacion","puedo","quisiera","busco","necesito","hacer",
+  // intención de inscribirse: dice qué quiere hacer, no qué curso busca
+  "inscribir","inscribirme","inscribo","inscribirse","inscripcion","inscripciones","anotar","anotarme",
+  "anoto","anotarse","apuntarme","formulario","link"
+]);
+
+// Sinónimos: término del usuario → términos que aparecen en el catálogo
+const SYNONYMS = {
+  panadero: ["panaderia"],
+  panadera: ["panaderia"],
+  pan: ["panaderia"],
+  panes: ["panaderia"],
+  peluquero: ["peluqueria"],
+  peluquera: ["peluqueria"],
+  pelo: ["peluqueria"],
+  barbero: ["barberia"],
+  barba: ["barberia"],
+  albanil: ["albanileria"],
+  construccion: ["albanileria"],
+  obra: ["albanileria"],
+  cocinero: ["cocina"],
+  cocinera: ["cocina"],
+  gastronomia: ["cocina"],
+  chef: ["cocina"],
+  celular: ["celulares"],
+  telefono: ["celulares"],
+  telefonos: ["celulares"],
+  costura: ["confeccion","molderia"],
+  coser: ["confeccion","molderia"],
+  modista: ["confeccion","molderia"],
+  ropa: ["indumentaria","vestimenta"],
+  tejer: ["tejido"],
+  crochet: ["tejido"],
+  perro: ["canina","mascotas"],
+  perros: ["canina","mascotas"],
+  gato: ["mascotas"],
+  gatos: ["mascotas"],
+  cuero: ["marroquineria"],
+  hotel: ["hoteleria"],
+  jujuy: ["san salvador de jujuy"],
+  capital: ["san salvador de jujuy"]
+};
+
+// Palabras que piden cursos en un estado (filtro, no texto a buscar)
+const ESTADO_PEDIDO = [
+  ["inscripcion_abierta", /^abiert[oa]s?$/],
+  ["proximo", /^(proxim[oa]s?|proximamente)$/],
+  ["finalizado", /^(finalizad[oa]s?|terminad[oa]s?)$/]
+];
+
+// Peso de cada campo en el puntaje final
+const FIELD_WEIGHTS = {
+  titulo: 4,
+  localidades: 2.5,
+  direcciones: 1.5,
+  descripcion_breve: 1.5,
+  descripcion_completa: 1,
+  actividades: 0.5,
+  dias_horarios: 1,
+  requisitos: 0.75
+};
+
+// Raíz simple: sin plural y recortada, así "panadero" y "panaderia" coinciden
+const stem = (w) => {
+  let t = w;
+  if (t.length > 4 && t.endsWith("es")) t = t.slice(0, -2);
+  else if (t.length > 3 && t.endsWith("s")) t = t.slice(0, -1);
+  return t.length > 6 ? t.slice(0, 6) : t;
+};
+
+const requisitosTexto = (r = {}) =>
+  [
+    r.mayor_18 ? "mayor de 18 anos" : "",
+    r.carnet_conducir ? "carnet de conducir" : "",
+    r.primaria_completa ? "primaria completa" : "",
+    r.secundaria_completa ? "secundaria completa" : "",
+    ...(r.otros || [])
+  ].join(" ");
+
+const fieldText = (c, field) => {
+  if (field === "requisitos") return requisitosTexto(c.requisitos);
+  const v = c[field];
+  return Array.isArray(v) ? v.join(" ") : (v || "");
+};
+
+const stemsOf = (text) =>
+  tokenize(text).filter((w) => !STOPWORDS.has(w)).map(stem);
+
+// Índice: por curso, las raíces de cada campo; y frecuencia de documento
+const buildIndex = (courses) => {
+  const docs = courses.map((c) => {
+    const fields = {};
+    const all = new Set();
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      fields[field] = new Set(stemsOf(fieldText(c, field)));
+      for (const s of fields[field]) all.add(s);
+    }
+    return { course: c, fields, all };
+  });
+
+  const df = new Map();
+  for (const d of docs) for (const s of d.all) df.set(s, (df.get(s) || 0) + 1);
+
+  return { docs, df, size: docs.length };
+};
+
+// Raíces de la consulta expandidas con sinónimos, y los estados que pide
+const parseQuery = (query) => {
+  const stems = new Set();
+  const estados = new Set();
+  for (const w of tokenize(query)) {
+    if (STOPWORDS.has(w)) continue;
+    const pedido = ESTADO_PEDIDO.find(([, re]) => re.test(w));
+    if (pedido) {
+      estados.add(pedido[0]);
+      continue;
+    }
+    stems.add(stem(w));
+    for (const syn of SYNONYMS[w] || []) for (const s of stemsOf(syn)) stems.add(s);
+  }
+  return { stems: [...stems], estados };
+};
+
+// Devuelve [{ course, score }] ordenado, sólo con puntaje > 0
+const search = (index, query, k = 5) => {
+  const { stems, estados } = parseQuery(query);
+  const docs = estados.size ? index.docs.filter((d) => estados.has(d.course.estado)) : index.docs;
+  if (!index.size) return [];
+  // Sólo un estado (“¿qué cursos hay abiertos?”): todos los de ese estado, en orden del catálogo
+  if (!stems.length) return estados.size ? docs.slice(0, k).map((d) => ({ course: d.course, score: 1 })) : [];
+
+  const idf = (s) => Math.log(1 + index.size / (index.df.get(s) || index.size));
+
+  return docs
+    .map((d) => {
+      let score = 0;
+      for (const s of stems) {
+        if (!d.all.has(s)) continue;
+        for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+          if (d.fields[field].has(s)) score += weight * idf(s);
+        }
+      }
+      return { course: d.course, score };
+    })
+    .filter((r) => r.score > 0)
+    .sort((x, y) => y.score - x.score)
+    .slice(0, k);
+};
+
+module.exports = {
+  buildIndex,
+  search
+};
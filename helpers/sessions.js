@@ -0,0 +1,104 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/sessions.js – memoria de conversación por chat
+ * Store con backend intercambiable (archivo JSON o memoria), vencimiento
+ * por inactividad, límite de historial y un mutex por chat para que dos
+ * mensajes del mismo chat no se pisen el estado.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { readJson, writeJsonAtomic, createMutex } = require("./store");
+
+// Backend en memoria (tests / desarrollo)
+const createMemoryBackend = () => {
+  const map = new Map();
+  return {
+    get: async (id) => map.get(id),
+    set: async (id, value) => { map.set(id, value); },
+    delete: async (id) => { map.delete(id); },
+    keys: async () => [...map.keys()],
+    flush: async () => {}
+  };
+};
+
+// Backend en archivo: mantiene todo en memoria y escribe agrupando cambios
+const createFileBackend = (file, { delayMs = 1000 } = {}) => {
+  const map = new Map(Object.entries(readJson(file, {})));
+  const lock = createMutex();
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    return lock(() => writeJsonAtomic(file, Object.fromEntries(map)));
+  };
+
+  const schedule = () => {
+    if (timer) return;
+    timer = setTimeout(() => {
+      flush().catch((err) => console.error("❌ Error guardando sesiones:", err));
+    }, delayMs);
+  };
+
+  return {
+    get: async (id) => map.get(id),
+    set: async (id, value) => { map.set(id, value); schedule(); },
+    delete: async (id) => { map.delete(id); schedule(); },
+    keys: async () => [...map.keys()],
+    flush
+  };
+};
+
+const emptyState = () => ({ history: [], lastSuggestedCourse: null });
+
+const createSessionStore = ({ backend, ttlMs = 12 * 60 * 60 * 1000, maxHistory = 6 }) => {
+  const locks = new Map();   // chatId → { run: mutex, pending } (se borra al vaciarse)
+
+  const expired = (s) => !s || !s.updatedAt || Date.now() - s.updatedAt > ttlMs;
+
+  // Sólo lectura (puede quedar desactualizado si hay un update en curso)
+  const get = async (id) => {
+    const s = await backend.get(id);
+    return expired(s) ? emptyState() : s;
+  };
+
+  // fn(state) corre con el lock del chat; lo que deje en state se guarda al terminar
+  const update = (id, fn) => {
+    const lock = locks.get(id) || { run: createMutex(), pending: 0 };
+    locks.set(id, lock);
+    lock.pending++;
+
+    return lock.run(async () => {
+      const stored = await backend.get(id);
+      const state = expired(stored) ? emptyState() : stored;
+      try {
+        return await fn(state);
+      } finally {
+        state.history = (state.history || []).slice(-maxHistory);
+        state.updatedAt = Date.now();
+        await backend.set(id, state);
+      }
+    }).finally(() => {
+      if (--lock.pending === 0) locks.delete(id);
+    });
+  };
+
+  const purge = async () => {
+    let removed = 0;
+    for (const id of await backend.keys()) {
+      if (expired(await backend.get(id))) {
+        await backend.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  };
+
+  return { get, update, purge, flush: backend.flush };
+};
+
+module.exports = {
+  createMemoryBackend,
+  createFileBackend,
+  createSessionStore
+};
@@ -0,0 +1,75 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/status.js – estado del curso derivado de sus fechas
+ * Fechas en YYYY-MM-DD comparadas como texto, en hora de Jujuy.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const TZ = process.env.TZ_CURSOS || "America/Argentina/Jujuy";
+
+// "Hoy" en la zona horaria de los cursos, como YYYY-MM-DD
+const hoy = (now = new Date()) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone: TZ, year: "numeric", month: "2-digit", day: "2-digit" }).format(now);
+
+/*
+ * Reglas (si estado_manual es true se respeta el estado cargado a mano):
+ * - pasó fecha_fin                          → finalizado
+ * - ya empezó (fecha_inicio)                → en_curso
+ * - con ventana de inscripción:
+ *     antes de inscripcion_inicio           → proximo
+ *     dentro de la ventana                  → inscripcion_abierta
+ *     cerrada antes del inicio              → inscripcion_cerrada (ya no se puede anotar)
+ * - sin ventana pero con fecha_inicio futura → inscripcion_abierta
+ * - sin ninguna fecha                       → se mantiene el estado cargado
+ * Un curso cargado como proximo sin ventana o sin formulario no pasa a
+ * inscripcion_abierta: no habría dónde anotarse.
+ */
+const estadoCalculado = (c, today = hoy()) => {
+  if (c.estado_manual) return c.estado;
+
+  const inicio = c.fecha_inicio || "";
+  const fin    = c.fecha_fin || "";
+  const insIni = c.inscripcion_inicio || "";
+  const insFin = c.inscripcion_fin || "";
+  const ventana = Boolean(insIni || insFin);
+
+  if (fin && today > fin) return "finalizado";
+  if (inicio && today >= inicio) return "en_curso";
+
+  if (ventana) {
+    if (insIni && today < insIni) return "proximo";
+    if (insFin && today > insFin) return "inscripcion_cerrada";
+  } else if (!inicio) {
+    return c.estado || "proximo";
+  }
+
+  if (c.estado === "proximo" && (!ventana || !c.formulario)) return "proximo";
+  return "inscripcion_abierta";
+};
+
+// Copia de los cursos con el estado calculado; la lista original (la del disco) no cambia
+const conEstados = (courses, today = hoy()) =>
+  courses.map((c) => ({ ...c, estado: estadoCalculado(c, today) }));
+
+// Transiciones [{ id, titulo, de, a }] respecto del último estado conocido de cada curso (id → estado)
+const transiciones = (courses, previos) =>
+  courses
+    .filter((c) => (previos[c.id] || null) !== c.estado)
+    .map((c) => ({ id: c.id, titulo: c.titulo, de: previos[c.id] || null, a: c.estado }));
+
+// Milisegundos hasta la próxima `hora`:00 en la zona de los cursos
+const msHastaHora = (hora, now = new Date()) => {
+  const local = new Date(now.toLocaleString("en-US", { timeZone: TZ }));
+  const target = new Date(local);
+  target.setHours(hora, 0, 0, 0);
+  if (target <= local) target.setDate(target.getDate() + 1);
+  return target - local;
+};
+
+module.exports = {
+  hoy,
+  estadoCalculado,
+  conEstados,
+  transiciones,
+  msHastaHora
+};
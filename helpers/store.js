@@ -0,0 +1,42 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/store.js – persistencia JSON en disco
+ * Escritura atómica (archivo temporal + rename) y mutex por promesas
+ * para que lecturas-modificación-escritura no se pisen entre requests.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const fs   = require("fs");
+const path = require("path");
+
+const readJson = (file, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return fallback;
+    throw e;
+  }
+};
+
+const writeJsonAtomic = async (file, data) => {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2) + "\n", "utf-8");
+  await fs.promises.rename(tmp, file);
+};
+
+// Ejecuta las tareas de a una, en orden de llegada
+const createMutex = () => {
+  let tail = Promise.resolve();
+  return (fn) => {
+    const run = tail.then(fn);
+    tail = run.catch(() => {});
+    return run;
+  };
+};
+
+module.exports = {
+  readJson,
+  writeJsonAtomic,
+  createMutex
+};
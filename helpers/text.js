@@ -0,0 +1,41 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/text.js – normalización de texto compartida
+ *──────────────────────────────────────────────────────────────────────*/
+
+// minúsculas, sin tildes ni signos, espacios colapsados
+const normalize = (s) =>
+  (s || "")
+    .toString()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const tokenize = (s) => normalize(s).split(" ").filter(Boolean);
+
+// Texto del usuario o del JSON antes de mandarlo al modelo: sin marcas ni llaves
+const sanitize = (s) =>
+  (s || "")
+    .toString()
+    .replace(/[`*_<>{}]/g, (ch) => {
+      const map = { "<": "&lt;", ">": "&gt;", "{": "&#123;", "}": "&#125;" };
+      return map[ch] || ch;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+
+const clamp = (s, max = 1200) => {
+  s = (s || "").toString();
+  return s.length > max ? s.slice(0, max) + "…" : s;
+};
+
+module.exports = {
+  normalize,
+  tokenize,
+  sanitize,
+  clamp
+};
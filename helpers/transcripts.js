@@ -0,0 +1,76 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/transcripts.js – registro de conversaciones
+ * Un archivo JSONL por día (YYYY-MM-DD.jsonl, fecha de Jujuy), sólo
+ * append. Las consultas leen los días del rango y filtran en memoria.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const fs   = require("fs");
+const path = require("path");
+const { createMutex } = require("./store");
+const { hoy } = require("./status");
+
+const CSV_COLUMNS = ["ts", "chatId", "kind", "message", "reply", "intent", "candidates", "courses", "model", "modelMs", "latencyMs", "error"];
+
+const csvCell = (v) => {
+  if (v === undefined || v === null) return "";
+  const s = Array.isArray(v) ? v.join(" ") : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const toCsv = (rows) =>
+  [CSV_COLUMNS.join(","), ...rows.map((r) => CSV_COLUMNS.map((c) => csvCell(r[c])).join(","))].join("\n") + "\n";
+
+const createTranscriptLog = (dir) => {
+  const lock = createMutex();
+
+  const record = (entry) => lock(async () => {
+    const now = new Date();
+    const row = { ts: now.toISOString(), ...entry };
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.appendFile(path.join(dir, `${hoy(now)}.jsonl`), JSON.stringify(row) + "\n", "utf-8");
+  });
+
+  // desde/hasta: YYYY-MM-DD inclusive; courseId busca en candidates y en los cursos respondidos;
+  // match: filtro adicional sobre cada fila
+  const query = async ({ desde, hasta, chatId, courseId, match, limit = 1000 } = {}) => {
+    let files = [];
+    try {
+      files = (await fs.promises.readdir(dir)).filter((f) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(f)).sort();
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+    files = files.filter((f) => {
+      const day = f.slice(0, 10);
+      return (!desde || day >= desde) && (!hasta || day <= hasta);
+    });
+
+    const rows = [];
+    for (const f of files) {
+      const lines = (await fs.promises.readFile(path.join(dir, f), "utf-8")).split("\n");
+      for (const line of lines) {
+        if (!line) continue;
+        let row;
+        try {
+          row = JSON.parse(line);
+        } catch (_e) {
+          continue; // línea cortada por un corte de luz/redeploy
+        }
+        if (chatId && row.chatId !== chatId) continue;
+        if (courseId !== undefined &&
+            !(row.candidates || []).includes(courseId) && !(row.courses || []).includes(courseId)) continue;
+        if (match && !match(row)) continue;
+        rows.push(row);
+      }
+    }
+    return rows.slice(-limit);
+  };
+
+  return { record, query };
+};
+
+module.exports = {
+  createTranscriptLog,
+  toCsv
+};
@@ -0,0 +1,102 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/usage.js – consumo de tokens del modelo y topes de gasto
+ * Por día de Jujuy: totales y desglose por chat, persistido en JSON.
+ * El costo se estima con el precio por millón de tokens configurado.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { readJson, writeJsonAtomic, createMutex } = require("./store");
+const { hoy } = require("./status");
+
+const vacio = () => ({ llamadas: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, costo_usd: 0 });
+
+const sumar = (acc, u) => {
+  acc.llamadas += u.llamadas;
+  acc.prompt_tokens += u.prompt_tokens;
+  acc.completion_tokens += u.completion_tokens;
+  acc.total_tokens += u.total_tokens;
+  acc.costo_usd = +(acc.costo_usd + u.costo_usd).toFixed(6);
+  return acc;
+};
+
+/*
+ * precios: { input, output } en USD por millón de tokens
+ * topes:   { diario, mensual } en USD (0 = sin tope)
+ */
+const createUsageLedger = (file, { precios, topes }) => {
+  let dias = readJson(file, {}); // "YYYY-MM-DD" → { ...totales, chats: { chatId: totales } }
+  const lock = createMutex();
+
+  const costo = (usage) =>
+    ((usage.prompt_tokens || 0) * precios.input + (usage.completion_tokens || 0) * precios.output) / 1e6;
+
+  // usage tal como lo devuelve el proveedor ({ prompt_tokens, completion_tokens, total_tokens })
+  const record = ({ chatId, usage }) => lock(async () => {
+    if (!usage) return;
+    const u = {
+      llamadas: 1,
+      prompt_tokens: usage.prompt_tokens || 0,
+      completion_tokens: usage.completion_tokens || 0,
+      total_tokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+      costo_usd: costo(usage)
+    };
+    const dia = hoy();
+    const actual = dias[dia] || { ...vacio(), chats: {} };
+    const next = {
+      ...dias,
+      [dia]: {
+        ...sumar({ ...actual, chats: undefined }, u),
+        chats: { ...actual.chats, [chatId]: sumar({ ...vacio(), ...actual.chats[chatId] }, u) }
+      }
+    };
+    await writeJsonAtomic(file, next);
+    dias = next;
+  });
+
+  const gastoDia = (dia = hoy()) => (dias[dia] ? dias[dia].costo_usd : 0);
+  const gastoMes = (mes = hoy().slice(0, 7)) =>
+    Object.keys(dias).filter((d) => d.startsWith(mes)).reduce((s, d) => s + dias[d].costo_usd, 0);
+
+  // "diario" | "mensual" si se alcanzó un tope, null si no
+  const topeAlcanzado = () => {
+    if (topes.diario && gastoDia() >= topes.diario) return "diario";
+    if (topes.mensual && gastoMes() >= topes.mensual) return "mensual";
+    return null;
+  };
+
+  // Consumo por día y por chat en el rango (YYYY-MM-DD, ambos inclusive)
+  const reporte = ({ desde, hasta, chatId } = {}) => {
+    const enRango = Object.keys(dias).sort()
+      .filter((d) => (!desde || d >= desde) && (!hasta || d <= hasta));
+
+    const porDia = enRango.map((dia) => {
+      const d = dias[dia];
+      if (chatId) return { dia, ...vacio(), ...d.chats[chatId] };
+      return { dia, ...d, chats: Object.keys(d.chats).length };
+    }).filter((d) => d.llamadas > 0);
+
+    const chats = new Map();
+    for (const dia of enRango) {
+      for (const [id, t] of Object.entries(dias[dia].chats)) {
+        if (chatId && id !== chatId) continue;
+        chats.set(id, sumar(chats.get(id) || vacio(), t));
+      }
+    }
+    const porChat = [...chats.entries()]
+      .map(([id, t]) => ({ chatId: id, ...t }))
+      .sort((a, b) => b.costo_usd - a.costo_usd);
+
+    return {
+      total: porDia.reduce((acc, d) => sumar(acc, d), vacio()),
+      dias: porDia,
+      chats: porChat
+    };
+  };
+
+  return { record, gastoDia, gastoMes, topeAlcanzado, reporte };
+};
+
+module.exports = {
+  createUsageLedger
+};
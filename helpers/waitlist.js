@@ -0,0 +1,39 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/waitlist.js – "avisame cuando abra"
+ * Suscripciones chat ↔ curso guardadas en un JSON (mismo volumen que
+ * la sesión de WhatsApp). Todas las escrituras pasan por un mutex.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const { readJson, writeJsonAtomic, createMutex } = require("./store");
+
+const createWaitlist = (file) => {
+  let subs = readJson(file, []);   // [{ chatId, courseId, createdAt }]
+  const lock = createMutex();
+
+  const save = (next) => writeJsonAtomic(file, next).then(() => { subs = next; });
+
+  const add = (chatId, courseId) => lock(async () => {
+    if (subs.some((s) => s.chatId === chatId && s.courseId === courseId)) return false;
+    await save([...subs, { chatId, courseId, createdAt: new Date().toISOString() }]);
+    return true;
+  });
+
+  // Sin courseId cancela todas las del chat; devuelve cuántas se borraron
+  const remove = (chatId, courseId) => lock(async () => {
+    const next = subs.filter((s) => !(s.chatId === chatId && (courseId === undefined || s.courseId === courseId)));
+    const removed = subs.length - next.length;
+    if (removed) await save(next);
+    return removed;
+  });
+
+  const byChat = (chatId) => subs.filter((s) => s.chatId === chatId);
+  const byCourse = (courseId) => subs.filter((s) => s.courseId === courseId);
+
+  return { add, remove, byChat, byCourse };
+};
+
+module.exports = {
+  createWaitlist
+};
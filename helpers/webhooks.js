@@ -0,0 +1,153 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * helpers/webhooks.js – webhooks salientes para otros sistemas (CRM…)
+ * Suscripciones por evento guardadas en JSON. Cada entrega va firmada:
+ *   X-Camila-Signature: sha256=HMAC(secreto, `${timestamp}.${body}`)
+ * Se reintenta con backoff (los reintentos pendientes se guardan en JSON
+ * y se retoman al arrancar); lo que no se pudo entregar va al log de
+ * fallidos (dead letter) para revisarlo o reenviarlo.
+ *──────────────────────────────────────────────────────────────────────*/
+
+const crypto = require("crypto");
+const axios  = require("axios");
+const { readJson, writeJsonAtomic, createMutex } = require("./store");
+
+const EVENTOS = ["mensaje", "respuesta", "handoff", "ready", "disconnected", "auth_failure"];
+
+const firmar = (secreto, timestamp, body) =>
+  "sha256=" + crypto.createHmac("sha256", secreto).update(`${timestamp}.${body}`).digest("hex");
+
+// id → { id, url, eventos, secreto, activo, createdAt }
+const createWebhookStore = (file) => {
+  let hooks = readJson(file, {});
+  const lock = createMutex();
+
+  const save = (next) => writeJsonAtomic(file, next).then(() => { hooks = next; });
+  const publico = ({ secreto: _s, ...h }) => h;
+  const nuevoSecreto = () => crypto.randomBytes(24).toString("hex");
+
+  // El secreto sólo se devuelve al crear (o rotar) la suscripción
+  const create = ({ url, eventos }) => lock(async () => {
+    const id = crypto.randomBytes(4).toString("hex");
+    const hook = { id, url, eventos, secreto: nuevoSecreto(), activo: true, createdAt: new Date().toISOString() };
+    await save({ ...hooks, [id]: hook });
+    return hook;
+  });
+
+  // cambios: { url?, eventos?, activo?, rotarSecreto? }
+  const update = (id, { rotarSecreto, ...cambios }) => lock(async () => {
+    if (!hooks[id]) return null;
+    const hook = { ...hooks[id], ...cambios, ...(rotarSecreto ? { secreto: nuevoSecreto() } : {}) };
+    await save({ ...hooks, [id]: hook });
+    return rotarSecreto ? hook : publico(hook);
+  });
+
+  const remove = (id) => lock(async () => {
+    if (!hooks[id]) return false;
+    const next = { ...hooks };
+    delete next[id];
+    await save(next);
+    return true;
+  });
+
+  // Suscripciones activas a un evento (con secreto, para firmar)
+  const para = (evento) => Object.values(hooks).filter((h) => h.activo && h.eventos.includes(evento));
+
+  const get = (id) => (hooks[id] ? hooks[id] : null);
+  const list = () => Object.values(hooks).map(publico);
+
+  return { create, update, remove, para, get, list };
+};
+
+/*
+ * fallidos: log con record(entry) (createTranscriptLog) para las entregas agotadas.
+ * file:     JSON con los reintentos pendientes, para que un reinicio no los pierda.
+ */
+const createWebhookDispatcher = ({ store, fallidos, file, maxIntentos = 5, backoffMs = 5000, timeoutMs = 10000 }) => {
+  // `${webhookId}:${entregaId}` → { webhookId, entrega, intento, proximoIntento }
+  let pendientes = file ? readJson(file, {}) : {};
+  const lock = createMutex();
+
+  const guardarPendiente = (clave, pendiente) => lock(async () => {
+    const next = { ...pendientes };
+    if (pendiente) next[clave] = pendiente;
+    else if (next[clave]) delete next[clave];
+    else return;
+    if (file) await writeJsonAtomic(file, next);
+    pendientes = next;
+  }).catch((err) => console.error("❌ Error guardando reintentos de webhooks:", err));
+
+  const programar = (clave, { webhookId, entrega, intento, proximoIntento }) => {
+    setTimeout(() => {
+      // la suscripción pudo cambiar o borrarse mientras tanto
+      const actual = store.get(webhookId);
+      if (actual && actual.activo) entregar(actual, entrega, intento);
+      else guardarPendiente(clave, null);
+    }, Math.max(0, proximoIntento - Date.now()));
+  };
+
+  // prueba: un solo intento y sin pasar al log de fallidos
+  const entregar = async (hook, entrega, intento = 1, prueba = false) => {
+    const body = JSON.stringify(entrega);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    try {
+      await axios.post(hook.url, body, {
+        timeout: timeoutMs,
+        headers: {
+          "Content-Type": "application/json",
+          "X-Camila-Event": entrega.evento,
+          "X-Camila-Delivery": entrega.id,
+          "X-Camila-Timestamp": timestamp,
+          "X-Camila-Signature": firmar(hook.secreto, timestamp, body)
+        }
+      });
+      if (intento > 1) await guardarPendiente(`${hook.id}:${entrega.id}`, null);
+      return true;
+    } catch (err) {
+      const error = err.response ? `HTTP ${err.response.status}` : err.message;
+      if (prueba) return false;
+      const clave = `${hook.id}:${entrega.id}`;
+      if (intento < maxIntentos) {
+        const pendiente = {
+          webhookId: hook.id, entrega, intento: intento + 1, proximoIntento: Date.now() + backoffMs * 2 ** (intento - 1)
+        };
+        await guardarPendiente(clave, pendiente);
+        programar(clave, pendiente);
+        return false;
+      }
+      await guardarPendiente(clave, null);
+      console.warn(`⚠️  Webhook ${hook.id} (${entrega.evento}) agotó reintentos: ${error}`);
+      await fallidos.record({ webhookId: hook.id, url: hook.url, evento: entrega.evento, entrega, intentos: intento, error })
+        .catch((e) => console.error("❌ Error guardando webhook fallido:", e));
+      return false;
+    }
+  };
+
+  // Dispara el evento a sus suscriptores sin esperar las entregas
+  const emit = (evento, data) => {
+    for (const hook of store.para(evento)) {
+      const entrega = { id: crypto.randomUUID(), evento, ts: new Date().toISOString(), data };
+      entregar(hook, entrega);
+    }
+  };
+
+  // Reenvía una entrega (p. ej. desde el log de fallidos) a una suscripción
+  const reenviar = (hook, entrega) => entregar(hook, entrega);
+
+  // Evento "ping" para probar la suscripción; true si el destino respondió 2xx
+  const probar = (hook) =>
+    entregar(hook, { id: crypto.randomUUID(), evento: "ping", ts: new Date().toISOString(), data: {} }, 1, true);
+
+  // Reintentos que quedaron pendientes antes del último reinicio
+  for (const [clave, pendiente] of Object.entries(pendientes)) programar(clave, pendiente);
+
+  return { emit, reenviar, probar };
+};
+
+module.exports = {
+  EVENTOS,
+  firmar,
+  createWebhookStore,
+  createWebhookDispatcher
+};
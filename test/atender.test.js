@@ -0,0 +1,184 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * test/atender.test.js – turnos completos de Camila sin WhatsApp
+ * Corre atenderMensaje de app.js con el proveedor mock, sesiones en
+ * memoria y un catálogo de prueba con fechas relativas a hoy.
+ * Uso: npm test
+ *──────────────────────────────────────────────────────────────────────*/
+
+const assert   = require("assert");
+const { test } = require("node:test");
+const fs       = require("fs");
+const os       = require("os");
+const path     = require("path");
+
+const { hoy } = require("../helpers/status");
+const { claveSesion } = require("../helpers/groups");
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "camila-test-"));
+// Al salir, cuando ya se escribió lo pendiente (transcripts, sesiones)
+process.on("exit", () => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// YYYY-MM-DD a `dias` de hoy (hora de Jujuy)
+const enDias = (dias) => {
+  const d = new Date(`${hoy()}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + dias);
+  return d.toISOString().slice(0, 10);
+};
+
+const CATALOGO = [
+  {
+    id: 1, titulo: "Panadería Artesanal", localidades: ["San Pedrito"], estado: "inscripcion_abierta",
+    fecha_inicio: enDias(30), fecha_fin: enDias(90), inscripcion_inicio: enDias(-5), inscripcion_fin: enDias(20),
+    formulario: "https://forms.gle/panaderia"
+  },
+  {
+    id: 2, titulo: "Reparación de Celulares", localidades: ["San Salvador de Jujuy"], estado: "proximo",
+    fecha_inicio: enDias(60), fecha_fin: enDias(120), inscripcion_inicio: enDias(10), inscripcion_fin: enDias(40),
+    formulario: "https://forms.gle/celulares"
+  },
+  {
+    id: 3, titulo: "Cocina Regional", localidades: ["Alto Comedero"], estado: "finalizado",
+    fecha_inicio: enDias(-120), fecha_fin: enDias(-30)
+  },
+  {
+    id: 4, titulo: "Taller de Flores Textil", localidades: ["San Salvador de Jujuy"], estado: "inscripcion_abierta",
+    fecha_inicio: enDias(30), fecha_fin: enDias(60), inscripcion_inicio: enDias(-5), inscripcion_fin: enDias(20),
+    formulario: "https://forms.gle/flores"
+  }
+];
+
+// El mock responde según el último mensaje del usuario
+const GUION = {
+  rules: [
+    { match: "caida", reply: { error: "Caída simulada del proveedor" } },
+    { match: "panader", reply: { intent: "listar_cursos", course_ids: [1], note: "Tenemos este curso de panadería:" } },
+    { match: "horario", reply: { intent: "detalle_curso", course_ids: [1], note: "Anotate en https://falso.example.com/form" } },
+    { match: "vacia", reply: null }
+  ],
+  default: { intent: "otro", course_ids: [], note: "Respuesta de prueba." }
+};
+
+fs.writeFileSync(path.join(tmp, "cursos.json"), JSON.stringify(CATALOGO));
+fs.writeFileSync(path.join(tmp, "mock.json"), JSON.stringify(GUION));
+
+Object.assign(process.env, {
+  LLM_PROVIDER: "mock",
+  LLM_MOCK_FILE: path.join(tmp, "mock.json"),
+  SESSIONS_STORE: "memory",
+  CURSOS_PATH: path.join(tmp, "cursos.json"),
+  DATA_PATH: path.join(tmp, "data")
+});
+delete process.env.CURSOS_IMG_DIR;
+delete process.env.CURSOS_IMG_BASE_URL;
+
+const { atenderMensaje, atenderRafaga, sesiones } = require("../app");
+
+// Mensaje de WhatsApp con lo que usa el handler; guarda las respuestas
+const mensaje = (from, body, author) => {
+  const replies = [];
+  return {
+    from, author, body, type: "chat", fromMe: false, replies,
+    reply: async (texto) => { replies.push(texto); },
+    getChat: async () => ({ sendStateTyping: async () => {}, clearState: async () => {} })
+  };
+};
+
+// Un turno como en atenderRafaga: con el lock y el estado de la sesión (por participante en grupos)
+const turno = async (chatId, texto, author) => {
+  const msg = mensaje(chatId, texto, author);
+  const clave = claveSesion(msg);
+  const resultado = await sesiones.update(clave, (state) => atenderMensaje(msg, clave, texto, state));
+  return { ...resultado, replies: msg.replies };
+};
+
+test("responde con el modelo y la ficha del catálogo", async () => {
+  const t = await turno("5491100000001@c.us", "hay cursos de panadería?");
+  assert.strictEqual(t.kind, "ai");
+  assert.deepStrictEqual(t.courses, [1]);
+  assert.strictEqual(t.replies.length, 1);
+  assert.match(t.replies[0], /Panadería Artesanal/);
+  assert.match(t.replies[0], /forms\.gle\/panaderia/);
+});
+
+test("la sesión guarda el historial y el curso sugerido", async () => {
+  const chatId = "5491100000001@c.us";
+  const state = await sesiones.get(chatId);
+  assert.strictEqual(state.history.length, 2);
+  assert.deepStrictEqual(state.lastCourseIds, [1]);
+
+  const t = await turno(chatId, "pasame el link");
+  assert.strictEqual(t.kind, "link");
+  assert.strictEqual(t.reply, "Formulario de inscripción: https://forms.gle/panaderia");
+});
+
+test("descarta la nota con un link que no es del catálogo", async () => {
+  const t = await turno("5491100000002@c.us", "qué horario tiene?");
+  assert.strictEqual(t.kind, "ai");
+  assert.strictEqual(t.verificacion, "plantilla");
+  assert.doesNotMatch(t.replies[0], /falso\.example\.com/);
+  assert.match(t.replies[0], /Panadería Artesanal/);
+});
+
+test("una salida vacía del modelo responde el error", async () => {
+  const t = await turno("5491100000003@c.us", "respuesta vacia");
+  assert.strictEqual(t.kind, "error");
+  assert.deepStrictEqual(t.replies, ["Ocurrió un error al generar la respuesta."]);
+  const state = await sesiones.get("5491100000003@c.us");
+  assert.strictEqual(state.fallos, 1);
+});
+
+test("si el modelo se cae responde por reglas", async () => {
+  const t = await turno("5491100000004@c.us", "prueba de caida");
+  assert.strictEqual(t.kind, "fallback");
+  assert.strictEqual(t.model, "reglas");
+  assert.strictEqual(t.replies.length, 1);
+});
+
+test("“inscribirme” no trae todos los cursos abiertos", async () => {
+  const t = await turno("5491100000008@c.us", "caida: ¿me puedo inscribir en panadería?");
+  assert.strictEqual(t.kind, "fallback");
+  assert.deepStrictEqual(t.candidates, [1]);
+  assert.deepStrictEqual(t.courses, [1]);
+});
+
+test("avisame sólo para cursos próximos", async () => {
+  const proximo = await turno("5491100000005@c.us", "avisame de reparación de celulares");
+  assert.strictEqual(proximo.kind, "avisos");
+  assert.match(proximo.reply, /Te voy a avisar/);
+
+  const finalizado = await turno("5491100000005@c.us", "avisame de cocina regional");
+  assert.strictEqual(finalizado.kind, "avisos");
+  assert.match(finalizado.reply, /no puedo avisarte/);
+});
+
+test("en un grupo la derivación es por participante", async () => {
+  const grupo = "120363000000000001@g.us";
+  const ana = "5491100000006@c.us";
+  const beto = "5491100000007@c.us";
+
+  const pedido = await turno(grupo, "quiero hablar con una persona", ana);
+  assert.strictEqual(pedido.kind, "handoff");
+  const derivado = await turno(grupo, "hola?", ana);
+  assert.strictEqual(derivado.kind, "handoff");
+  assert.deepStrictEqual(derivado.replies, []);
+
+  const otro = await turno(grupo, "hay cursos de panadería?", beto);
+  assert.strictEqual(otro.kind, "ai");
+  const historial = (await sesiones.get(`${grupo}/${ana}`)).history;
+  assert.strictEqual(historial[historial.length - 1].content, "hola?");
+});
+
+test("en las preguntas guiadas una ráfaga se responde mensaje por mensaje", async () => {
+  const chatId = "5491100000009@c.us";
+  const inicio = await turno(chatId, "a qué cursos puedo anotarme?");
+  assert.strictEqual(inicio.kind, "elegibilidad");
+
+  const msgs = ["30", "2"].map((texto) => mensaje(chatId, texto));
+  await atenderRafaga(chatId, msgs.map((msg) => ({ msg, userMessage: msg.body, t0: Date.now() })));
+  assert.match(msgs[0].replies[0], /^2\/3/);
+  assert.match(msgs[1].replies[0], /^3\/3/);
+  const state = await sesiones.get(chatId);
+  assert.deepStrictEqual(state.perfil, { edad: 30, estudios: "primaria" });
+});
@@ -0,0 +1,57 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * test/campaigns.test.js – CSV de destinatarios de campañas (helpers/campaigns.js)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const assert   = require("assert");
+const { test } = require("node:test");
+
+const { numeroWhatsapp, parseCsv } = require("../helpers/campaigns");
+
+test("los números argentinos salen como 549 + característica + número", () => {
+  for (const escrito of ["0388 15-412-3456", "388 15 4123456", "(0388) 4123456", "388-4123456",
+    "+54 9 388 412-3456", "+54 388 15 412 3456", "5493884123456", "543884123456", "0054 9 388 4123456"]) {
+    assert.strictEqual(numeroWhatsapp(escrito), "5493884123456", escrito);
+  }
+  assert.strictEqual(numeroWhatsapp("011 15 5555-1234"), "5491155551234");
+  assert.strictEqual(numeroWhatsapp("3754 15 41-2345"), "5493754412345");
+});
+
+test("otro país sólo con + o 00", () => {
+  assert.strictEqual(numeroWhatsapp("+591 71234567"), "59171234567");
+  assert.strictEqual(numeroWhatsapp("00591 71234567"), "59171234567");
+  assert.strictEqual(numeroWhatsapp("59171234567"), null);
+});
+
+test("sin característica no se puede enviar", () => {
+  assert.strictEqual(numeroWhatsapp("15 412-3456"), null);
+  assert.strictEqual(numeroWhatsapp("4123456"), null);
+  assert.strictEqual(numeroWhatsapp(""), null);
+  assert.strictEqual(numeroWhatsapp(undefined), null);
+});
+
+test("parseCsv lee encabezado, separador ; y comillas", () => {
+  const csv = "\uFEFFNombre;Teléfono\r\n\"Pérez; Ana\";0388 15 412-3456\r\nBeto;388 4999999\r\n";
+  assert.deepStrictEqual(parseCsv(csv), {
+    destinatarios: [
+      { numero: "5493884123456", nombre: "Pérez; Ana" },
+      { numero: "5493884999999", nombre: "Beto" }
+    ],
+    invalidas: []
+  });
+});
+
+test("parseCsv sin encabezado: número y nombre", () => {
+  const { destinatarios } = parseCsv("3884123456,Ana\n+54 9 388 4999999");
+  assert.deepStrictEqual(destinatarios, [
+    { numero: "5493884123456", nombre: "Ana" },
+    { numero: "5493884999999", nombre: "" }
+  ]);
+});
+
+test("parseCsv informa las filas que no se pueden enviar", () => {
+  const { destinatarios, invalidas } = parseCsv("numero,nombre\n412-3456,Ana\n0388 15 4123456,Beto\n,Caro");
+  assert.deepStrictEqual(destinatarios, [{ numero: "5493884123456", nombre: "Beto" }]);
+  assert.deepStrictEqual(invalidas, [{ linea: 2, numero: "412-3456" }, { linea: 4, numero: "" }]);
+});
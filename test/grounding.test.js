@@ -0,0 +1,79 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * test/grounding.test.js – verificación de la nota del modelo (helpers/grounding.js)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const assert   = require("assert");
+const { test } = require("node:test");
+
+const { extraerFechas, verificar, pistaCorreccion } = require("../helpers/grounding");
+
+const PANADERIA = {
+  id: 1, titulo: "Panadería Artesanal", estado: "inscripcion_abierta", localidades: ["San Pedrito"],
+  fecha_inicio: "2025-04-07", fecha_fin: "2025-06-30", inscripcion_inicio: "2025-03-01", inscripcion_fin: "2025-03-15",
+  formulario: "https://forms.gle/panaderia"
+};
+const COCINA = {
+  id: 2, titulo: "Cocina Regional", estado: "finalizado", localidades: ["Alto Comedero", "Palpalá"],
+  fecha_inicio: "2024-08-01", fecha_fin: "2024-11-30", formulario: "https://forms.gle/cocina"
+};
+const CATALOGO = [PANADERIA, COCINA];
+
+const valores = (fechas) => fechas.map((f) => [f.dia, f.mes, f.anio]);
+
+test("extraerFechas reconoce los formatos de fecha", () => {
+  assert.deepStrictEqual(valores(extraerFechas("Empieza el 2025-04-07.")), [[7, 4, 2025]]);
+  assert.deepStrictEqual(valores(extraerFechas("Hasta 15/03/2025 o 15/3/25")), [[15, 3, 2025], [15, 3, 2025]]);
+  assert.deepStrictEqual(valores(extraerFechas("Arranca el 7/4")), [[7, 4, undefined]]);
+  assert.deepStrictEqual(valores(extraerFechas("Inicia el 7 de abril de 2025, cierra 15 de marzo")),
+    [[7, 4, 2025], [15, 3, undefined]]);
+  assert.deepStrictEqual(valores(extraerFechas("Los miércoles 9/4 hay clase")), [[9, 4, undefined]]);
+});
+
+test("extraerFechas no confunde fracciones ni números con fechas", () => {
+  assert.deepStrictEqual(extraerFechas("Son clases de 1/2 jornada, 3/4 del cupo ya está"), []);
+  assert.deepStrictEqual(extraerFechas("el 45/13 no existe"), []);
+  assert.deepStrictEqual(extraerFechas("Llamá al 388-4123456"), []);
+});
+
+test("una fecha del curso pasa; una inventada no", () => {
+  assert.deepStrictEqual(verificar("Arranca el 7 de abril y la inscripción cierra el 15/03/2025.", [PANADERIA], CATALOGO), []);
+  assert.deepStrictEqual(verificar("Arranca el 8 de abril.", [PANADERIA], CATALOGO), [{ tipo: "fecha", valor: "8 de abril" }]);
+  assert.deepStrictEqual(verificar("Arranca el 07/04/2026.", [PANADERIA], CATALOGO), [{ tipo: "fecha", valor: "07/04/2026" }]);
+});
+
+test("sólo los links del formulario de los cursos de la respuesta", () => {
+  assert.deepStrictEqual(verificar("Anotate en https://forms.gle/panaderia.", [PANADERIA], CATALOGO), []);
+  assert.deepStrictEqual(verificar("Anotate en forms.gle/panaderia", [PANADERIA], CATALOGO), []);
+  assert.deepStrictEqual(verificar("Anotate en https://forms.gle/cocina", [PANADERIA], CATALOGO),
+    [{ tipo: "url", valor: "https://forms.gle/cocina" }]);
+  assert.deepStrictEqual(verificar("Mirá www.empleo.gob.ar", [PANADERIA], CATALOGO),
+    [{ tipo: "url", valor: "www.empleo.gob.ar" }]);
+});
+
+test("una sede del catálogo que no es del curso es una violación", () => {
+  assert.deepStrictEqual(verificar("Se dicta en San Pedrito.", [PANADERIA], CATALOGO), []);
+  assert.deepStrictEqual(verificar("Se dicta en Palpalá.", [PANADERIA], CATALOGO), [{ tipo: "localidad", valor: "Palpalá" }]);
+  assert.deepStrictEqual(verificar("No hay cursos en Tilcara.", [PANADERIA], CATALOGO), []);
+});
+
+test("el estado afirmado tiene que ser el de algún curso de la respuesta", () => {
+  assert.deepStrictEqual(verificar("¡La inscripción está abierta!", [PANADERIA], CATALOGO), []);
+  assert.deepStrictEqual(verificar("Ya terminó, pero la inscripción está abierta", [COCINA], CATALOGO),
+    [{ tipo: "estado", valor: "inscripcion_abierta" }]);
+  assert.deepStrictEqual(verificar("Todavía no abrió la inscripción", [PANADERIA, COCINA], CATALOGO),
+    [{ tipo: "estado", valor: "proximo" }]);
+});
+
+test("sin cursos en la respuesta sólo se controlan fechas y links", () => {
+  assert.deepStrictEqual(verificar("¿Buscás algo en Palpalá? Ya abrió la inscripción", [], CATALOGO), []);
+  assert.deepStrictEqual(verificar("Escribí a https://otro.example.com", [], CATALOGO),
+    [{ tipo: "url", valor: "https://otro.example.com" }]);
+  assert.deepStrictEqual(verificar("", [PANADERIA], CATALOGO), []);
+});
+
+test("pistaCorreccion lista cada dato que no coincide", () => {
+  const pista = pistaCorreccion([{ tipo: "fecha", valor: "8 de abril" }, { tipo: "url", valor: "https://x.com" }]);
+  assert.match(pista, /- fecha: 8 de abril\n- url: https:\/\/x\.com/);
+});
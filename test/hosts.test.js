@@ -0,0 +1,48 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * test/hosts.test.js – hosts públicos para callbackUrl y file (helpers/hosts.js)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const assert   = require("assert");
+const { test } = require("node:test");
+
+const { esPublica, verificarUrlPublica } = require("../helpers/hosts");
+
+test("IPv4 pública y no pública", () => {
+  for (const ip of ["8.8.8.8", "190.104.1.1", "100.63.255.255", "172.32.0.1"]) assert.strictEqual(esPublica(ip), true, ip);
+  for (const ip of ["127.0.0.1", "10.0.0.5", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1",
+    "0.0.0.0", "198.18.0.1", "224.0.0.1", "255.255.255.255"]) {
+    assert.strictEqual(esPublica(ip), false, ip);
+  }
+});
+
+test("IPv6 pública y no pública", () => {
+  assert.strictEqual(esPublica("2001:4860:4860::8888"), true);
+  for (const ip of ["::", "::1", "fd00::1", "fe80::1", "ff02::1", "2001:db8::1", "2001:0:4136:e378::1"]) {
+    assert.strictEqual(esPublica(ip), false, ip);
+  }
+});
+
+test("una IPv6 con una IPv4 adentro vale lo que esa IPv4", () => {
+  for (const ip of ["::ffff:127.0.0.1", "::ffff:7f00:1", "::127.0.0.1", "::a00:1", "64:ff9b::7f00:1",
+    "64:ff9b::192.168.0.1", "64:ff9b:1::a00:1", "2002:a9fe:a9fe::1"]) {
+    assert.strictEqual(esPublica(ip), false, ip);
+  }
+  for (const ip of ["::ffff:8.8.8.8", "64:ff9b::808:808", "2002:808:808::1"]) assert.strictEqual(esPublica(ip), true, ip);
+});
+
+test("lo que no es una IP no es público", () => {
+  assert.strictEqual(esPublica("localhost"), false);
+  assert.strictEqual(esPublica(""), false);
+});
+
+test("verificarUrlPublica rechaza hosts internos y otros protocolos", async () => {
+  assert.strictEqual(await verificarUrlPublica("https://8.8.8.8/hook"), true);
+  assert.strictEqual(await verificarUrlPublica("http://[2001:4860:4860::8888]:8080/"), true);
+  for (const url of ["http://127.0.0.1:8000/", "http://[::1]/", "http://[64:ff9b::7f00:1]/",
+    "http://169.254.169.254/latest/meta-data", "http://localhost:8000/"]) {
+    await assert.rejects(verificarUrlPublica(url), /privada o local/, url);
+  }
+  await assert.rejects(verificarUrlPublica("file:///etc/passwd"), /http o https/);
+});
@@ -0,0 +1,74 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * test/retrieval.test.js – búsqueda de cursos (helpers/retrieval.js)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const assert   = require("assert");
+const { test } = require("node:test");
+
+const { buildIndex, search } = require("../helpers/retrieval");
+
+const CURSOS = [
+  {
+    id: 1, titulo: "Panadería Artesanal", estado: "inscripcion_abierta", localidades: ["San Pedrito"],
+    descripcion_breve: "Panes, facturas y prepizzas", requisitos: { mayor_18: true }
+  },
+  {
+    id: 2, titulo: "Reparación de Celulares", estado: "proximo", localidades: ["Palpalá"],
+    descripcion_breve: "Diagnóstico y cambio de pantallas", requisitos: { secundaria_completa: true }
+  },
+  {
+    id: 3, titulo: "Cocina Regional", estado: "finalizado", localidades: ["Alto Comedero"],
+    descripcion_breve: "Empanadas, humitas y tamales; incluye pan casero"
+  },
+  {
+    id: 4, titulo: "Peluquería", estado: "inscripcion_abierta", localidades: ["Palpalá"],
+    dias_horarios: ["Martes 14 a 17"], requisitos: { otros: ["Traer tijeras"] }
+  }
+];
+
+const indice = buildIndex(CURSOS);
+const ids = (hits) => hits.map((h) => h.course.id);
+
+test("busca en todos los campos, no sólo en el título", () => {
+  assert.deepStrictEqual(ids(search(indice, "cursos en palpala")), [2, 4]);
+  assert.deepStrictEqual(ids(search(indice, "pantallas")), [2]);
+  assert.deepStrictEqual(ids(search(indice, "tijeras")), [4]);
+  assert.deepStrictEqual(ids(search(indice, "secundaria completa")), [2]);
+});
+
+test("ignora tildes y mayúsculas", () => {
+  assert.deepStrictEqual(ids(search(indice, "PANADERIA")), ids(search(indice, "panadería")));
+  assert.strictEqual(search(indice, "panadería")[0].course.id, 1);
+});
+
+test("expande sinónimos de oficios", () => {
+  assert.strictEqual(search(indice, "quiero ser panadero")[0].course.id, 1);
+  assert.deepStrictEqual(ids(search(indice, "arreglar telefonos")), [2]);
+  assert.strictEqual(search(indice, "corte de pelo")[0].course.id, 4);
+});
+
+test("el título pesa más que la descripción", () => {
+  const hits = search(indice, "pan");
+  assert.deepStrictEqual(ids(hits), [1, 3]);
+  assert.ok(hits[0].score > hits[1].score);
+});
+
+test("devuelve como mucho k resultados y sólo con puntaje", () => {
+  assert.strictEqual(search(indice, "palpala", 1).length, 1);
+  assert.deepStrictEqual(search(indice, "astronomia"), []);
+  assert.deepStrictEqual(search(buildIndex([]), "panaderia"), []);
+});
+
+test("las palabras de estado filtran en vez de buscarse", () => {
+  assert.deepStrictEqual(ids(search(indice, "qué cursos hay abiertos?")), [1, 4]);
+  assert.deepStrictEqual(ids(search(indice, "próximos cursos")), [2]);
+  assert.deepStrictEqual(ids(search(indice, "cursos terminados")), [3]);
+  assert.deepStrictEqual(ids(search(indice, "pan abiertos")), [1]);
+});
+
+test("las palabras de inscripción no traen cursos", () => {
+  assert.deepStrictEqual(search(indice, "quiero inscribirme, pasame el link del formulario"), []);
+  assert.deepStrictEqual(ids(search(indice, "me puedo anotar en peluquería?")), [4]);
+});
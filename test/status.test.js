@@ -0,0 +1,95 @@
+"use strict";
+
+/*──────────────────────────────────────────────────────────────────────
+ * test/status.test.js – estado de los cursos según sus fechas (helpers/status.js)
+ *──────────────────────────────────────────────────────────────────────*/
+
+const assert   = require("assert");
+const { test } = require("node:test");
+
+const { hoy, estadoCalculado, conEstados, transiciones, msHastaHora } = require("../helpers/status");
+
+const CURSO = {
+  id: 1, titulo: "Panadería", estado: "proximo", formulario: "https://forms.gle/pan",
+  inscripcion_inicio: "2025-03-01", inscripcion_fin: "2025-03-15",
+  fecha_inicio: "2025-04-01", fecha_fin: "2025-06-30"
+};
+
+test("hoy es la fecha de Jujuy (UTC-3), no la de UTC", () => {
+  assert.strictEqual(hoy(new Date("2025-03-01T02:59:00Z")), "2025-02-28");
+  assert.strictEqual(hoy(new Date("2025-03-01T03:00:00Z")), "2025-03-01");
+  assert.strictEqual(hoy(new Date("2025-12-31T23:30:00-03:00")), "2025-12-31");
+});
+
+test("la ventana de inscripción incluye sus dos extremos", () => {
+  assert.strictEqual(estadoCalculado(CURSO, "2025-02-28"), "proximo");
+  assert.strictEqual(estadoCalculado(CURSO, "2025-03-01"), "inscripcion_abierta");
+  assert.strictEqual(estadoCalculado(CURSO, "2025-03-15"), "inscripcion_abierta");
+  assert.strictEqual(estadoCalculado(CURSO, "2025-03-16"), "inscripcion_cerrada");
+});
+
+test("en curso desde fecha_inicio y finalizado después de fecha_fin", () => {
+  assert.strictEqual(estadoCalculado(CURSO, "2025-03-31"), "inscripcion_cerrada");
+  assert.strictEqual(estadoCalculado(CURSO, "2025-04-01"), "en_curso");
+  assert.strictEqual(estadoCalculado(CURSO, "2025-06-30"), "en_curso");
+  assert.strictEqual(estadoCalculado(CURSO, "2025-07-01"), "finalizado");
+});
+
+test("ventana sólo con inicio o sólo con fin", () => {
+  const soloInicio = { ...CURSO, inscripcion_fin: undefined };
+  assert.strictEqual(estadoCalculado(soloInicio, "2025-03-20"), "inscripcion_abierta");
+  const soloFin = { ...CURSO, inscripcion_inicio: undefined };
+  assert.strictEqual(estadoCalculado(soloFin, "2025-01-10"), "inscripcion_abierta");
+  assert.strictEqual(estadoCalculado(soloFin, "2025-03-16"), "inscripcion_cerrada");
+});
+
+test("estado_manual respeta el estado cargado", () => {
+  const manual = { ...CURSO, estado: "inscripcion_abierta", estado_manual: true };
+  assert.strictEqual(estadoCalculado(manual, "2025-07-01"), "inscripcion_abierta");
+});
+
+test("sin ninguna fecha se mantiene el estado cargado", () => {
+  assert.strictEqual(estadoCalculado({ estado: "en_curso" }, "2025-03-01"), "en_curso");
+  assert.strictEqual(estadoCalculado({}, "2025-03-01"), "proximo");
+});
+
+test("sin ventana y con inicio futuro queda abierto, salvo que se haya cargado como próximo", () => {
+  const sinVentana = { estado: "inscripcion_abierta", fecha_inicio: "2025-04-01", formulario: "https://forms.gle/x" };
+  assert.strictEqual(estadoCalculado(sinVentana, "2025-03-01"), "inscripcion_abierta");
+  assert.strictEqual(estadoCalculado({ ...sinVentana, estado: "proximo" }, "2025-03-01"), "proximo");
+  assert.strictEqual(estadoCalculado({ ...sinVentana, estado: "proximo" }, "2025-04-01"), "en_curso");
+});
+
+test("un próximo sin formulario no abre aunque esté en la ventana", () => {
+  const sinFormulario = { ...CURSO, formulario: "" };
+  assert.strictEqual(estadoCalculado(sinFormulario, "2025-03-05"), "proximo");
+  assert.strictEqual(estadoCalculado(sinFormulario, "2025-03-16"), "inscripcion_cerrada");
+  assert.strictEqual(estadoCalculado({ ...sinFormulario, estado: "inscripcion_abierta" }, "2025-03-05"), "inscripcion_abierta");
+});
+
+test("conEstados calcula sobre una copia", () => {
+  const lista = [CURSO];
+  const [calculado] = conEstados(lista, "2025-03-05");
+  assert.strictEqual(calculado.estado, "inscripcion_abierta");
+  assert.strictEqual(CURSO.estado, "proximo");
+  assert.notStrictEqual(calculado, CURSO);
+});
+
+test("transiciones sólo lista los cursos que cambiaron de estado", () => {
+  const cursos = [
+    { id: 1, titulo: "Panadería", estado: "inscripcion_abierta" },
+    { id: 2, titulo: "Cocina", estado: "finalizado" },
+    { id: 3, titulo: "Nuevo", estado: "proximo" }
+  ];
+  assert.deepStrictEqual(transiciones(cursos, { 1: "proximo", 2: "finalizado" }), [
+    { id: 1, titulo: "Panadería", de: "proximo", a: "inscripcion_abierta" },
+    { id: 3, titulo: "Nuevo", de: null, a: "proximo" }
+  ]);
+  assert.deepStrictEqual(transiciones(cursos, { 1: "inscripcion_abierta", 2: "finalizado", 3: "proximo" }), []);
+});
+
+test("msHastaHora cuenta hasta la próxima hora en Jujuy", () => {
+  const now = new Date("2025-03-01T02:30:00Z"); // 23:30 del 28/02 en Jujuy
+  assert.strictEqual(msHastaHora(0, now), 30 * 60 * 1000);
+  assert.strictEqual(msHastaHora(23, now), 23.5 * 60 * 60 * 1000);
+});